@@ -17,6 +17,7 @@ module.exports = {
     curly: 'error',
     eqeqeq: 'error',
     'max-len': ['error', {code: 120, tabWidth: 2}],
+    'new-cap': ['error', {capIsNewExceptions: ['BigInt']}],
     'no-constant-condition': 'off',
     'no-fallthrough': ['error', {commentPattern: 'FALLTHRU'}],
     'no-implicit-coercion': 'off',
@@ -52,18 +52,60 @@
  *   module:Layout.s24be|24-bit}, {@link module:Layout.s32be|32-bit},
  *   {@link module:Layout.s40be|40-bit}, and {@link
  *   module:Layout.s48be|48-bit} representation ranges;
+ * * Integers of any width beyond 48 bits, such as {@link
+ *   module:Layout.u128|128-bit} and {@link module:Layout.u256|256-bit}
+ *   values, in all four of the above formats, with JavaScript
+ *   representation as an exact BigInt;
  * * 64-bit integral values that decode to an exact (if magnitude is
  *   less than 2^53) or nearby integral Number in {@link
  *   module:Layout.nu64|unsigned little-endian}, {@link
  *   module:Layout.nu64be|unsigned big-endian}, {@link
  *   module:Layout.ns64|signed little-endian}, and {@link
  *   module:Layout.ns64be|unsigned big-endian} encodings;
+ * * 64-bit integral values that decode to an exact BigInt in {@link
+ *   module:Layout.u64|unsigned little-endian}, {@link
+ *   module:Layout.u64be|unsigned big-endian}, {@link
+ *   module:Layout.s64|signed little-endian}, and {@link
+ *   module:Layout.s64be|signed big-endian} encodings;
  * * 32-bit floating point values with {@link
  *   module:Layout.f32|little-endian} and {@link
  *   module:Layout.f32be|big-endian} representations;
  * * 64-bit floating point values with {@link
  *   module:Layout.f64|little-endian} and {@link
  *   module:Layout.f64be|big-endian} representations;
+ * * 16-bit IEEE 754 binary16 floating point values with {@link
+ *   module:Layout.f16|little-endian} and {@link
+ *   module:Layout.f16be|big-endian} representations;
+ * * 16-bit bfloat16 floating point values with {@link
+ *   module:Layout.bf16|little-endian} and {@link
+ *   module:Layout.bf16be|big-endian} representations;
+ * * {@link module:Layout.fixed|Fixed-point} values in Q m.n format
+ *   stored in any of the above integer formats;
+ * * Variable-length integers in {@link module:Layout.uleb128|unsigned}
+ *   and {@link module:Layout.sleb128|signed} LEB128, {@link
+ *   module:Layout.zigzag|zigzag}, and {@link module:Layout.vlq|VLQ}
+ *   encodings;
+ * * {@link module:Layout.bcd|Binary-coded decimal} integers in packed
+ *   or unpacked form;
+ * * {@link module:Layout.scaled|Scaled} values that apply a linear
+ *   transformation to any numeric layout;
+ * * {@link module:Layout.enumeration|Enumeration}s that represent
+ *   integers as symbolic names;
+ * * {@link module:Layout.flags|FlagSet}s that represent bitmask words
+ *   as collections of flag names;
+ * * {@link module:Layout.bool|Bool}s that represent booleans held in
+ *   full unsigned integers;
+ * * {@link module:Layout~Timestamp|Timestamp}s for {@link
+ *   module:Layout.unixTime|Unix}, {@link module:Layout.ntpTime|NTP}, {@link
+ *   module:Layout.fileTime|FILETIME}, {@link module:Layout.gpsTime|GPS},
+ *   and {@link module:Layout.dosDateTime|MS-DOS} time values;
+ * * {@link module:Layout~Address|Address}es for {@link
+ *   module:Layout.ipv4|IPv4}, {@link module:Layout.ipv6|IPv6}, and
+ *   {@link module:Layout.mac|MAC}/{@link module:Layout.eui64|EUI}
+ *   identifiers in their text forms;
+ * * {@link module:Layout.uuid|UUID}s in RFC 4122, little-endian, and
+ *   GUID byte orders, and Bluetooth {@link module:Layout.uuid16|short
+ *   UUIDs};
  * * {@link module:Layout.const|Constants} that take no space in the
  *   encoded expression.
  *
@@ -72,9 +114,20 @@
  *   module:Layout~Layout|Layout}, with JavaScript representation as
  *   an Array and constant or data-dependent {@link
  *   module:Layout~Sequence#count|length};
+ * * {@link module:Layout.terminatedSeq|Sequences ended by a sentinel}
+ *   element;
+ * * {@link module:Layout.boundedSeq|Sequences bounded by a byte length}
+ *   rather than an element count;
+ * * {@link module:Layout.greedySeq|Sequences of variable-length
+ *   elements} that extend to the end of the buffer;
+ * * {@link module:Layout.optional|Optional} fields that are present
+ *   only when a predicate over preceding fields holds;
+ * * {@link module:Layout.computed|Computed} fields, such as lengths
+ *   and counts, that are filled in when a structure is encoded;
  * * {@link module:Layout.struct|Structure}s that aggregate a
  *   heterogeneous sequence of {@link module:Layout~Layout|Layout}
- *   instances, with JavaScript representation as an Object;
+ *   instances, with JavaScript representation as an Object, either
+ *   packed or with the padding of a native C structure;
  * * {@link module:Layout.union|Union}s that support multiple {@link
  *   module:Layout~VariantLayout|variant layouts} over a fixed
  *   (padded) or variable (not padded) span of bytes, using an
@@ -87,7 +140,15 @@
  *   module:Layout~BitStructure#addField|BitField}s packed into an 8,
  *   16, 24, or 32-bit unsigned integer starting at the least- or
  *   most-significant bit;
- * * {@link module:Layout.cstr|C strings} of varying length;
+ * * {@link module:Layout.cstr|C strings} of varying length,
+ *   optionally bounded by a maximum span;
+ * * Strings in UTF-8, Latin-1, ASCII, UTF-16 (either byte order),
+ *   UCS-2, and Java modified UTF-8 {@link
+ *   module:Layout~CString#encoding|encodings};
+ * * {@link module:Layout.fixedStr|Fixed-span strings} with configurable
+ *   padding;
+ * * {@link module:Layout.pstr|Length-prefixed strings} with a leading
+ *   or external byte count;
  * * {@link module:Layout.blob|Blobs} of fixed- or variable-{@link
  *   module:Layout~Blob#length|length} raw data.
  *
@@ -95,10 +156,17 @@
  * after construction, to prevent internal state from becoming
  * inconsistent.
  *
+ * Aggregate layouts pass a {@link module:Layout~Context|Context} to
+ * the layouts they contain, giving nested layouts access to the
+ * values of enclosing layouts and to user-supplied parameters.
+ *
  * @local Layout
+ * @local Context
  * @local ExternalLayout
  * @local GreedyCount
  * @local OffsetLayout
+ * @local SiblingLayout
+ * @local NumericLayout
  * @local UInt
  * @local UIntBE
  * @local Int
@@ -107,11 +175,46 @@
  * @local NearUInt64BE
  * @local NearInt64
  * @local NearInt64BE
+ * @local UInt64
+ * @local UInt64BE
+ * @local Int64
+ * @local Int64BE
  * @local Float
  * @local FloatBE
  * @local Double
  * @local DoubleBE
+ * @local Float16
+ * @local Float16BE
+ * @local BFloat16
+ * @local BFloat16BE
+ * @local FixedPoint
+ * @local ULEB128
+ * @local SLEB128
+ * @local ZigZag
+ * @local VLQ
+ * @local BCD
+ * @local Scaled
+ * @local Enumeration
+ * @local FlagSet
+ * @local Bool
+ * @local Timestamp
+ * @local UnixTime
+ * @local NTPTime
+ * @local FileTime
+ * @local GPSTime
+ * @local DOSDateTime
+ * @local Address
+ * @local IPv4
+ * @local IPv6
+ * @local EUI
+ * @local UUID
+ * @local ShortUUID
  * @local Sequence
+ * @local TerminatedSequence
+ * @local BoundedSequence
+ * @local GreedySequence
+ * @local Optional
+ * @local Computed
  * @local Structure
  * @local UnionDiscriminator
  * @local UnionLayoutDiscriminator
@@ -120,8 +223,11 @@
  * @local BitStructure
  * @local BitField
  * @local Boolean
+ * @local BitEnumeration
  * @local Blob
  * @local CString
+ * @local FixedString
+ * @local PascalString
  * @local Constant
  * @local bindConstructorLayout
  * @module Layout
@@ -203,11 +309,15 @@ class Layout {
    * @param {Number} [offset] - the offset at which the encoded data
    * starts.  If absent a zero offset is inferred.
    *
+   * @param {Context} [context] - information about the layouts that
+   * contain this one, and user-supplied parameters.  Layouts that do
+   * not contain other layouts may ignore it.
+   *
    * @returns {(Number|Array|Object)} - the value of the decoded data.
    *
    * @abstract
    */
-  decode(b, offset) {
+  decode(b, offset, context) {
     throw new Error('Layout is abstract');
   }
 
@@ -224,6 +334,8 @@ class Layout {
    * @param {Number} [offset] - the offset at which the encoded data
    * starts.  If absent a zero offset is inferred.
    *
+   * @param {Context} [context] - as with {@link Layout#decode|decode}.
+   *
    * @returns {Number} - the number of bytes encoded, including the
    * space skipped for internal padding, but excluding data such as
    * {@link Sequence#count|lengths} when stored {@link
@@ -233,7 +345,7 @@ class Layout {
    *
    * @abstract
    */
-  encode(src, b, offset) {
+  encode(src, b, offset, context) {
     throw new Error('Layout is abstract');
   }
 
@@ -245,6 +357,8 @@ class Layout {
    * @param {Number} [offset] - the offset at which the encoded instance
    * starts.  If absent a zero offset is inferred.
    *
+   * @param {Context} [context] - as with {@link Layout#decode|decode}.
+   *
    * @return {Number} - the number of bytes covered by the layout
    * instance.  If this method is not overridden in a subclass the
    * definition-time constant {@link Layout#span|span} will be
@@ -253,13 +367,46 @@ class Layout {
    * @throws {RangeError} - if the length of the value cannot be
    * determined.
    */
-  getSpan(b, offset) {
+  getSpan(b, offset, context) {
     if (0 > this.span) {
       throw new RangeError('indeterminate span');
     }
     return this.span;
   }
 
+  /**
+   * Get the natural alignment of the layout.
+   *
+   * This is the byte boundary on which a C compiler would place a
+   * field of the corresponding type within a non-packed structure.
+   * It is used by {@link Structure} when an {@link
+   * Structure#align|alignment mode} is selected.
+   *
+   * @return {Number} - a positive power of two.  If this method is
+   * not overridden in a subclass the layout is assumed to be a byte
+   * array, and 1 is returned.
+   */
+  getAlignment() {
+    return 1;
+  }
+
+  /**
+   * Determine whether the layout is absent from its enclosing
+   * aggregate.
+   *
+   * A {@link Structure} skips an absent field: it occupies no space,
+   * it is not decoded, and it must not have a value when encoded.
+   *
+   * @param {Context} [context] - the context passed by the enclosing
+   * aggregate.
+   *
+   * @return {Boolean} - `true` if the layout is absent.  If this
+   * method is not overridden in a subclass `false` is returned.
+   */
+  isAbsent(context) {
+    return false;
+  }
+
   /**
    * Replicate the layout using a new property.
    *
@@ -334,10 +481,10 @@ exports.nameWithProperty = nameWithProperty;
  * * The {@link Layout#makeDestinationObject|makeDestinationObject()}
  *   property of `layout` is set to a function that returns a `new
  *   Class()`;
- * * `Class.decode(b, offset)` becomes a static member function that
+ * * `Class.decode(b, offset, context)` becomes a static member function that
  *   delegates to {@link Layout#decode|layout.decode}.  The
  *   synthesized function may be captured and extended.
- * * `Class.prototype.encode(b, offset)` provides an instance member
+ * * `Class.prototype.encode(b, offset, context)` provides an instance member
  *   function that delegates to {@link Layout#encode|layout.encode}
  *   with `src` set to `this`.  The synthesized function may be
  *   captured and extended, but when the extension is invoked `this`
@@ -366,20 +513,160 @@ function bindConstructorLayout(Class, layout) {
   layout.boundConstructor_ = Class;
   layout.makeDestinationObject = (() => new Class());
   Object.defineProperty(Class.prototype, 'encode', {
-    value: function(b, offset) {
-      return layout.encode(this, b, offset);
+    value: function(b, offset, context) {
+      return layout.encode(this, b, offset, context);
     },
     writable: true,
   });
   Object.defineProperty(Class, 'decode', {
-    value: function(b, offset) {
-      return layout.decode(b, offset);
+    value: function(b, offset, context) {
+      return layout.decode(b, offset, context);
     },
     writable: true,
   });
 }
 exports.bindConstructorLayout = bindConstructorLayout;
 
+/**
+ * Information about the aggregate layouts enclosing a value that is
+ * being decoded, encoded, or measured.
+ *
+ * *Factory*: {@link module:Layout.context|context}
+ *
+ * A root context carrying user-supplied {@link
+ * Context#params|params} may be passed as the final argument of
+ * {@link Layout#decode|decode}, {@link Layout#encode|encode}, or
+ * {@link Layout#getSpan|getSpan}.  Each aggregate layout ({@link
+ * Structure}, {@link Sequence} and its variants, {@link Union}, and
+ * {@link VariantLayout}) passes a {@link Context#child|child} context
+ * to the layouts it contains, so a nested layout can inspect the
+ * values of its ancestors.  Aggregates create a root context when
+ * none is provided.
+ *
+ * Layouts that ignore the context remain usable within aggregates,
+ * but layouts they contain do not see the ancestors.
+ *
+ * @param {Object} [params] - initializer for {@link
+ * Context#params|params}.
+ *
+ * @param {Context} [parent] - initializer for {@link
+ * Context#parent|parent}.
+ *
+ * @param {Layout} [layout] - initializer for {@link
+ * Context#layout|layout}.
+ *
+ * @param {*} [value] - initializer for {@link Context#value|value}.
+ */
+class Context {
+  constructor(params, parent, layout, value) {
+    if (!((undefined === parent)
+          || (parent instanceof Context))) {
+      throw new TypeError('parent must be a Context');
+    }
+
+    /** The user-supplied parameters, shared by all contexts descended
+     * from a root context.  Defaults to an empty object. */
+    this.params = params || {};
+
+    /** The context of the enclosing aggregate, or `null` for a root
+     * context. */
+    this.parent = parent || null;
+
+    /** The aggregate layout that created the context, or `null` for a
+     * root context. */
+    this.layout = layout || null;
+
+    /** The value of the aggregate that created the context.
+     *
+     * When decoding this is the partially-constructed Object or Array
+     * holding values decoded so far; when encoding it is the source
+     * value, except that a {@link Structure} provides an Object
+     * holding only the source values of the fields encoded so far. */
+    this.value = value;
+
+    /** The location of each field reached so far by the {@link
+     * Structure} that created the context.
+     *
+     * Each key is the {@link Layout#property|property} of a field and
+     * the value is an object with the field's `layout` and the
+     * `offset` of its value in the buffer.  When encoding, a {@link
+     * SiblingLayout} that fills in the field records the value it
+     * wrote as `value`.  This is used to resolve {@link SiblingLayout}
+     * references.  Users should not manipulate the content of this
+     * property. */
+    this.locations = Object.create(null);
+  }
+
+  /**
+   * Create a context for the layouts contained in an aggregate.
+   *
+   * @param {Layout} layout - initializer for {@link
+   * Context#layout|layout} in the child.
+   *
+   * @param {*} value - initializer for {@link Context#value|value} in
+   * the child.
+   *
+   * @return {Context} - a context sharing {@link
+   * Context#params|params} with this one.
+   */
+  child(layout, value) {
+    return new Context(this.params, this, layout, value);
+  }
+
+  /**
+   * Find a property value in the nearest enclosing aggregate that
+   * provides it.
+   *
+   * @param {String} property - the property of interest.
+   *
+   * @return {*} - the value of `property` in the {@link
+   * Context#value|value} of this context or the closest ancestor
+   * that has it, or undefined if no ancestor has it.
+   */
+  lookup(property) {
+    let ctx = this;
+    while (ctx) {
+      if ((ctx.value instanceof Object)
+          && (property in ctx.value)) {
+        return ctx.value[property];
+      }
+      ctx = ctx.parent;
+    }
+  }
+
+  /**
+   * Find the location of a field in the nearest enclosing structure
+   * that has reached it.
+   *
+   * @param {String} property - the property of the field.
+   *
+   * @return {(Object|undefined)} - the {@link
+   * Context#locations|location} of the field in this context or the
+   * closest ancestor that has it, or undefined if no ancestor has
+   * it.
+   */
+  locate(property) {
+    let ctx = this;
+    while (ctx) {
+      if (property in ctx.locations) {
+        return ctx.locations[property];
+      }
+      ctx = ctx.parent;
+    }
+  }
+}
+
+/* Create the context passed by an aggregate layout to the layouts it
+ * contains, given the context passed to the aggregate. */
+function childContext(context, layout, value, name) {
+  if (undefined === context) {
+    context = new Context();
+  } else if (!(context instanceof Context)) {
+    throw new TypeError(nameWithProperty(name, layout) + ' context must be a Context');
+  }
+  return context.child(layout, value);
+}
+
 /**
  * An object that behaves like a layout but does not consume space
  * within its containing layout.
@@ -515,26 +802,171 @@ class OffsetLayout extends ExternalLayout {
     this.offset = offset;
   }
 
-  /** @override */
+  /** Implement {@link ExternalLayout#isCount|isCount} for {@link
+   * OffsetLayout}.
+   *
+   * **NOTE** Only fixed-span unsigned integers are accepted.  A
+   * variable-width count such as {@link ULEB128} at a fixed offset
+   * would overwrite the data that follows it when its encoding grows;
+   * use {@link module:Layout.sibling|sibling} to refer to a count
+   * field of an enclosing structure instead. */
   isCount() {
-    return ((this.layout instanceof UInt)
-            || (this.layout instanceof UIntBE));
+    return isFixedCount(this.layout);
   }
 
   /** @override */
-  decode(b, offset) {
+  decode(b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
-    return this.layout.decode(b, offset + this.offset);
+    return this.layout.decode(b, offset + this.offset, context);
   }
 
   /** @override */
-  encode(src, b, offset) {
+  encode(src, b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
-    return this.layout.encode(src, b, offset + this.offset);
+    return this.layout.encode(src, b, offset + this.offset, context);
+  }
+}
+
+/* True if `layout` holds a count in a fixed number of bytes: an
+ * unsigned integer of at most six bytes, possibly computed.  A
+ * variable-width count could overrun the space it was given when
+ * re-encoded. */
+function isFixedCount(layout) {
+  if (layout instanceof Computed) {
+    layout = layout.layout;
+  }
+  return (((layout instanceof UInt)
+           || (layout instanceof UIntBE))
+          && (6 >= layout.span));
+}
+
+/* Locate the field referenced by a SiblingLayout in the innermost
+ * structure of the context that has reached it. */
+function siblingField(sl, context, name) {
+  if (!(context instanceof Context)) {
+    throw new TypeError(nameWithProperty(name, sl)
+                        + ' requires a Context from an enclosing Structure');
+  }
+  const fd = context.locate(sl.reference);
+  if (undefined === fd) {
+    throw new RangeError(nameWithProperty(name, sl)
+                         + ' cannot resolve ' + sl.reference
+                         + ': no preceding field in enclosing structures');
+  }
+  if (!isFixedCount(fd.layout)) {
+    throw new TypeError(nameWithProperty(name, sl)
+                        + ' cannot resolve ' + sl.reference
+                        + ': field is not a fixed-span unsigned integer');
+  }
+  return fd;
+}
+
+/**
+ * An {@link ExternalLayout} that accesses a field of an enclosing
+ * {@link Structure} by its {@link Layout#property|property}.
+ *
+ * *Factory*: {@link module:Layout.sibling|sibling}
+ *
+ * Unlike {@link OffsetLayout} the location of the referenced field
+ * need not be known when the layout is defined: it is resolved
+ * through the {@link Context} passed by the enclosing structure when
+ * it is {@link Structure#decode|decoded} or {@link
+ * Structure#encode|encoded}, so fields may be inserted or change
+ * width without invalidating the reference.  The field must precede
+ * the point of use, either in the same structure or in a structure
+ * that contains it; the innermost match is used.  The `offset`
+ * passed to {@link SiblingLayout#decode|decode} and {@link
+ * SiblingLayout#encode|encode} is ignored.
+ *
+ * The referenced field must be a {@link UInt} or {@link UIntBE}
+ * (possibly {@link Computed}) with a span of at most six bytes, so
+ * that rewriting it cannot disturb the fields that follow.  This is
+ * checked when the reference is resolved.
+ *
+ * When used as a {@link Sequence#count|Sequence count}, {@link
+ * Blob#length|Blob length}, or similar, encoding the dependent value
+ * fills in the referenced field, so the corresponding property need
+ * not be provided in the source object.
+ *
+ * @param {string} reference - initializer for {@link
+ * SiblingLayout#reference|reference}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.  Defaults to `reference`.
+ *
+ * @augments {ExternalLayout}
+ */
+class SiblingLayout extends ExternalLayout {
+  constructor(reference, property) {
+    if (!(('string' === typeof reference) && (0 < reference.length))) {
+      throw new TypeError('reference must be a property name');
+    }
+    super(-1, property || reference);
+
+    /** The {@link Layout#property|property} of the referenced field.
+     *
+     * The field must be a fixed-span unsigned integer layout. */
+    this.reference = reference;
+  }
+
+  /** Implement {@link ExternalLayout#isCount|isCount} for {@link
+   * SiblingLayout}.
+   *
+   * **NOTE** The referenced field is not known until the reference is
+   * resolved, at which point a field that cannot hold a count is
+   * rejected with a `TypeError`. */
+  isCount() {
+    return true;
+  }
+
+  /** @override */
+  decode(b, offset, context) {
+    const fd = siblingField(this, context, 'SiblingLayout.decode');
+    return fd.layout.decode(b, fd.offset, context);
+  }
+
+  /** @override */
+  encode(src, b, offset, context) {
+    const fd = siblingField(this, context, 'SiblingLayout.encode');
+    const rv = fd.layout.encode(src, b, fd.offset, context);
+    fd.value = src;
+    return rv;
+  }
+}
+
+/**
+ * Base class for fixed-width integer and floating point layouts.
+ *
+ * Its role is to provide the {@link Layout#getAlignment|natural
+ * alignment} of a C scalar of the same size: spans that are a power
+ * of two align to themselves, up to the 16 bytes of `__int128` and
+ * `long double`, while other spans have no C scalar equivalent and
+ * are treated as byte arrays.
+ *
+ * **NOTE** This is an abstract base class; you can create instances
+ * if it amuses you, but they won't support the {@link
+ * Layout#encode|encode} or {@link Layout#decode|decode} functions.
+ *
+ * @param {Number} span - initializer for {@link Layout#span|span}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @abstract
+ * @augments {Layout}
+ */
+class NumericLayout extends Layout {
+  /** @override */
+  getAlignment() {
+    const span = this.span;
+    if ((0 < span) && (0 === (span & (span - 1)))) {
+      return Math.min(span, 16);
+    }
+    return 1;
   }
 }
 
@@ -544,22 +976,21 @@ class OffsetLayout extends ExternalLayout {
  * *Factory*: {@link module:Layout.u8|u8}, {@link
  *  module:Layout.u16|u16}, {@link module:Layout.u24|u24}, {@link
  *  module:Layout.u32|u32}, {@link module:Layout.u40|u40}, {@link
- *  module:Layout.u48|u48}
+ *  module:Layout.u48|u48}, {@link module:Layout.u128|u128}, {@link
+ *  module:Layout.u256|u256}, {@link module:Layout.uint|uint}
  *
  * @param {Number} span - initializer for {@link Layout#span|span}.
- * The parameter can range from 1 through 6.
+ * Spans of 1 through 6 bytes decode to Numbers; wider spans decode to
+ * exact BigInts and accept BigInts or integral Numbers when encoding.
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class UInt extends Layout {
+class UInt extends NumericLayout {
   constructor(span, property) {
     super(span, property);
-    if (6 < this.span) {
-      throw new RangeError('span must not exceed 6 bytes');
-    }
   }
 
   /** @override */
@@ -567,6 +998,9 @@ class UInt extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
+    if (6 < this.span) {
+      return readBigInt(b, offset, this.span, false, false);
+    }
     return b.readUIntLE(offset, this.span);
   }
 
@@ -575,7 +1009,11 @@ class UInt extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    b.writeUIntLE(src, offset, this.span);
+    if (6 < this.span) {
+      writeBigInt(src, b, offset, this.span, false, false, 'UInt.encode', this);
+    } else {
+      b.writeUIntLE(src, offset, this.span);
+    }
     return this.span;
   }
 }
@@ -586,22 +1024,22 @@ class UInt extends Layout {
  * *Factory*: {@link module:Layout.u8be|u8be}, {@link
  * module:Layout.u16be|u16be}, {@link module:Layout.u24be|u24be},
  * {@link module:Layout.u32be|u32be}, {@link
- * module:Layout.u40be|u40be}, {@link module:Layout.u48be|u48be}
+ * module:Layout.u40be|u40be}, {@link module:Layout.u48be|u48be},
+ * {@link module:Layout.u128be|u128be}, {@link
+ * module:Layout.u256be|u256be}, {@link module:Layout.uintbe|uintbe}
  *
  * @param {Number} span - initializer for {@link Layout#span|span}.
- * The parameter can range from 1 through 6.
+ * Spans of 1 through 6 bytes decode to Numbers; wider spans decode to
+ * exact BigInts and accept BigInts or integral Numbers when encoding.
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class UIntBE extends Layout {
+class UIntBE extends NumericLayout {
   constructor(span, property) {
-    super( span, property);
-    if (6 < this.span) {
-      throw new RangeError('span must not exceed 6 bytes');
-    }
+    super(span, property);
   }
 
   /** @override */
@@ -609,6 +1047,9 @@ class UIntBE extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
+    if (6 < this.span) {
+      return readBigInt(b, offset, this.span, false, true);
+    }
     return b.readUIntBE(offset, this.span);
   }
 
@@ -617,7 +1058,11 @@ class UIntBE extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    b.writeUIntBE(src, offset, this.span);
+    if (6 < this.span) {
+      writeBigInt(src, b, offset, this.span, false, true, 'UIntBE.encode', this);
+    } else {
+      b.writeUIntBE(src, offset, this.span);
+    }
     return this.span;
   }
 }
@@ -628,22 +1073,21 @@ class UIntBE extends Layout {
  * *Factory*: {@link module:Layout.s8|s8}, {@link
  *  module:Layout.s16|s16}, {@link module:Layout.s24|s24}, {@link
  *  module:Layout.s32|s32}, {@link module:Layout.s40|s40}, {@link
- *  module:Layout.s48|s48}
+ *  module:Layout.s48|s48}, {@link module:Layout.s128|s128}, {@link
+ *  module:Layout.s256|s256}, {@link module:Layout.int|int}
  *
  * @param {Number} span - initializer for {@link Layout#span|span}.
- * The parameter can range from 1 through 6.
+ * Spans of 1 through 6 bytes decode to Numbers; wider spans decode to
+ * exact BigInts and accept BigInts or integral Numbers when encoding.
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class Int extends Layout {
+class Int extends NumericLayout {
   constructor(span, property) {
     super(span, property);
-    if (6 < this.span) {
-      throw new RangeError('span must not exceed 6 bytes');
-    }
   }
 
   /** @override */
@@ -651,6 +1095,9 @@ class Int extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
+    if (6 < this.span) {
+      return readBigInt(b, offset, this.span, true, false);
+    }
     return b.readIntLE(offset, this.span);
   }
 
@@ -659,7 +1106,11 @@ class Int extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    b.writeIntLE(src, offset, this.span);
+    if (6 < this.span) {
+      writeBigInt(src, b, offset, this.span, true, false, 'Int.encode', this);
+    } else {
+      b.writeIntLE(src, offset, this.span);
+    }
     return this.span;
   }
 }
@@ -670,22 +1121,22 @@ class Int extends Layout {
  * *Factory*: {@link module:Layout.s8be|s8be}, {@link
  * module:Layout.s16be|s16be}, {@link module:Layout.s24be|s24be},
  * {@link module:Layout.s32be|s32be}, {@link
- * module:Layout.s40be|s40be}, {@link module:Layout.s48be|s48be}
+ * module:Layout.s40be|s40be}, {@link module:Layout.s48be|s48be},
+ * {@link module:Layout.s128be|s128be}, {@link
+ * module:Layout.s256be|s256be}, {@link module:Layout.intbe|intbe}
  *
  * @param {Number} span - initializer for {@link Layout#span|span}.
- * The parameter can range from 1 through 6.
+ * Spans of 1 through 6 bytes decode to Numbers; wider spans decode to
+ * exact BigInts and accept BigInts or integral Numbers when encoding.
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class IntBE extends Layout {
+class IntBE extends NumericLayout {
   constructor(span, property) {
     super(span, property);
-    if (6 < this.span) {
-      throw new RangeError('span must not exceed 6 bytes');
-    }
   }
 
   /** @override */
@@ -693,6 +1144,9 @@ class IntBE extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
+    if (6 < this.span) {
+      return readBigInt(b, offset, this.span, true, true);
+    }
     return b.readIntBE(offset, this.span);
   }
 
@@ -701,7 +1155,11 @@ class IntBE extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    b.writeIntBE(src, offset, this.span);
+    if (6 < this.span) {
+      writeBigInt(src, b, offset, this.span, true, true, 'IntBE.encode', this);
+    } else {
+      b.writeIntBE(src, offset, this.span);
+    }
     return this.span;
   }
 }
@@ -729,9 +1187,9 @@ function roundedInt64(hi32, lo32) {
  * **NOTE** Values with magnitude greater than 2^52 may not decode to
  * the exact value of the encoded representation.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class NearUInt64 extends Layout {
+class NearUInt64 extends NumericLayout {
   constructor(property) {
     super(8, property);
   }
@@ -767,9 +1225,9 @@ class NearUInt64 extends Layout {
  * **NOTE** Values with magnitude greater than 2^52 may not decode to
  * the exact value of the encoded representation.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class NearUInt64BE extends Layout {
+class NearUInt64BE extends NumericLayout {
   constructor(property) {
     super(8, property);
   }
@@ -805,9 +1263,9 @@ class NearUInt64BE extends Layout {
  * **NOTE** Values with magnitude greater than 2^52 may not decode to
  * the exact value of the encoded representation.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class NearInt64 extends Layout {
+class NearInt64 extends NumericLayout {
   constructor(property) {
     super(8, property);
   }
@@ -843,9 +1301,9 @@ class NearInt64 extends Layout {
  * **NOTE** Values with magnitude greater than 2^52 may not decode to
  * the exact value of the encoded representation.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class NearInt64BE extends Layout {
+class NearInt64BE extends NumericLayout {
   constructor(property) {
     super(8, property);
   }
@@ -872,19 +1330,107 @@ class NearInt64BE extends Layout {
   }
 }
 
+/* Convert a value to be encoded into a BigInt, accepting either a
+ * BigInt or an integral Number.  `name` and `lo` identify the caller
+ * in diagnostics. */
+function toBigInt(src, name, lo) {
+  if ('bigint' === typeof src) {
+    return src;
+  }
+  if (Number.isInteger(src)) {
+    return BigInt(src);
+  }
+  throw new TypeError(nameWithProperty(name, lo)
+                      + ' value must be a BigInt or integral Number');
+}
+
+/* Verify that a BigInt value is representable in a two's complement
+ * (`signed`) or unsigned integer of `bits` bits. */
+function checkBigIntRange(v, bits, signed, name, lo) {
+  let min = BigInt(0);
+  let max = (BigInt(1) << BigInt(bits)) - BigInt(1);
+  if (signed) {
+    min = -(BigInt(1) << BigInt(bits - 1));
+    max = -min - BigInt(1);
+  }
+  if ((v < min) || (v > max)) {
+    throw new RangeError(nameWithProperty(name, lo)
+                         + ' value must be in [' + min + ', ' + max + ']');
+  }
+  return v;
+}
+
+/* Reconstruct a BigInt from the high (possibly signed) and low
+ * (non-negative) 32-bit words of a 64-bit integer. */
+function bigIntFromInt64(hi32, lo32) {
+  return (BigInt(hi32) << BigInt(32)) + BigInt(lo32);
+}
+
+/* Split a 64-bit BigInt into high and low 32-bit words, where the low
+ * word is always non-negative and the high word has the sign of the
+ * value. */
+function splitBigInt64(v) {
+  const lo32 = Number(BigInt.asUintN(32, v));
+  const hi32 = Number(v >> BigInt(32));
+  return {hi32, lo32};
+}
+
+/* Read an integer of arbitrary span as a BigInt.  The span is
+ * interpreted as two's complement if `signed`, and as big-endian if
+ * `be`. */
+function readBigInt(b, offset, span, signed, be) {
+  if ((offset + span) > b.length) {
+    throw new RangeError('decoding overruns Buffer');
+  }
+  let bytes = b.slice(offset, offset + span);
+  if (!be) {
+    bytes = Buffer.from(Array.prototype.slice.call(bytes).reverse());
+  }
+  const v = BigInt('0x' + bytes.toString('hex'));
+  if (signed) {
+    return BigInt.asIntN(8 * span, v);
+  }
+  return v;
+}
+
+/* Write a BigInt (or integral Number) value as an integer of arbitrary
+ * span, with representation as described for readBigInt.  `name` and
+ * `lo` identify the caller in diagnostics. */
+function writeBigInt(src, b, offset, span, signed, be, name, lo) {
+  const bits = 8 * span;
+  const v = checkBigIntRange(toBigInt(src, name, lo), bits, signed, name, lo);
+  if ((offset + span) > b.length) {
+    throw new RangeError('encoding overruns Buffer');
+  }
+  let hex = BigInt.asUintN(bits, v).toString(16);
+  while (hex.length < (2 * span)) {
+    hex = '0' + hex;
+  }
+  let bytes = Buffer.from(hex, 'hex');
+  if (!be) {
+    bytes = Buffer.from(Array.prototype.slice.call(bytes).reverse());
+  }
+  bytes.copy(b, offset);
+}
+
 /**
- * Represent a 32-bit floating point number in little-endian format.
+ * Represent an unsigned 64-bit integer in little-endian format when
+ * encoded and as an exact BigInt when decoded.
  *
- * *Factory*: {@link module:Layout.f32|f32}
+ * *Factory*: {@link module:Layout.u64|u64}
+ *
+ * **NOTE** The encoded value may be provided as a BigInt or as an
+ * integral Number.  Values outside the range of the representation
+ * are rejected.
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class Float extends Layout {
+class UInt64 extends NumericLayout {
   constructor(property) {
-    super(4, property);
+    super(8, property);
   }
 
   /** @override */
@@ -892,7 +1438,9 @@ class Float extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    return b.readFloatLE(offset);
+    const lo32 = b.readUInt32LE(offset);
+    const hi32 = b.readUInt32LE(offset + 4);
+    return bigIntFromInt64(hi32, lo32);
   }
 
   /** @override */
@@ -900,24 +1448,33 @@ class Float extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    b.writeFloatLE(src, offset);
-    return 4;
+    const v = checkBigIntRange(toBigInt(src, 'UInt64.encode', this),
+                               64, false, 'UInt64.encode', this);
+    const split = splitBigInt64(v);
+    b.writeUInt32LE(split.lo32, offset);
+    b.writeUInt32LE(split.hi32, offset + 4);
+    return 8;
   }
 }
 
 /**
- * Represent a 32-bit floating point number in big-endian format.
+ * Represent an unsigned 64-bit integer in big-endian format when
+ * encoded and as an exact BigInt when decoded.
  *
- * *Factory*: {@link module:Layout.f32be|f32be}
+ * *Factory*: {@link module:Layout.u64be|u64be}
+ *
+ * **NOTE** The encoded value may be provided as a BigInt or as an
+ * integral Number.  Values outside the range of the representation
+ * are rejected.
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class FloatBE extends Layout {
+class UInt64BE extends NumericLayout {
   constructor(property) {
-    super(4, property);
+    super(8, property);
   }
 
   /** @override */
@@ -925,7 +1482,9 @@ class FloatBE extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    return b.readFloatBE(offset);
+    const hi32 = b.readUInt32BE(offset);
+    const lo32 = b.readUInt32BE(offset + 4);
+    return bigIntFromInt64(hi32, lo32);
   }
 
   /** @override */
@@ -933,22 +1492,31 @@ class FloatBE extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    b.writeFloatBE(src, offset);
-    return 4;
+    const v = checkBigIntRange(toBigInt(src, 'UInt64BE.encode', this),
+                               64, false, 'UInt64BE.encode', this);
+    const split = splitBigInt64(v);
+    b.writeUInt32BE(split.hi32, offset);
+    b.writeUInt32BE(split.lo32, offset + 4);
+    return 8;
   }
 }
 
 /**
- * Represent a 64-bit floating point number in little-endian format.
+ * Represent a signed 64-bit integer in little-endian format when
+ * encoded and as an exact BigInt when decoded.
  *
- * *Factory*: {@link module:Layout.f64|f64}
+ * *Factory*: {@link module:Layout.s64|s64}
+ *
+ * **NOTE** The encoded value may be provided as a BigInt or as an
+ * integral Number.  Values outside the range of the representation
+ * are rejected.
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class Double extends Layout {
+class Int64 extends NumericLayout {
   constructor(property) {
     super(8, property);
   }
@@ -958,7 +1526,9 @@ class Double extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    return b.readDoubleLE(offset);
+    const lo32 = b.readUInt32LE(offset);
+    const hi32 = b.readInt32LE(offset + 4);
+    return bigIntFromInt64(hi32, lo32);
   }
 
   /** @override */
@@ -966,22 +1536,31 @@ class Double extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    b.writeDoubleLE(src, offset);
+    const v = checkBigIntRange(toBigInt(src, 'Int64.encode', this),
+                               64, true, 'Int64.encode', this);
+    const split = splitBigInt64(v);
+    b.writeUInt32LE(split.lo32, offset);
+    b.writeInt32LE(split.hi32, offset + 4);
     return 8;
   }
 }
 
 /**
- * Represent a 64-bit floating point number in big-endian format.
+ * Represent a signed 64-bit integer in big-endian format when
+ * encoded and as an exact BigInt when decoded.
  *
- * *Factory*: {@link module:Layout.f64be|f64be}
+ * *Factory*: {@link module:Layout.s64be|s64be}
+ *
+ * **NOTE** The encoded value may be provided as a BigInt or as an
+ * integral Number.  Values outside the range of the representation
+ * are rejected.
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
  */
-class DoubleBE extends Layout {
+class Int64BE extends NumericLayout {
   constructor(property) {
     super(8, property);
   }
@@ -991,7 +1570,9 @@ class DoubleBE extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    return b.readDoubleBE(offset);
+    const hi32 = b.readInt32BE(offset);
+    const lo32 = b.readUInt32BE(offset + 4);
+    return bigIntFromInt64(hi32, lo32);
   }
 
   /** @override */
@@ -999,124 +1580,3423 @@ class DoubleBE extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    b.writeDoubleBE(src, offset);
+    const v = checkBigIntRange(toBigInt(src, 'Int64BE.encode', this),
+                               64, true, 'Int64BE.encode', this);
+    const split = splitBigInt64(v);
+    b.writeInt32BE(split.hi32, offset);
+    b.writeUInt32BE(split.lo32, offset + 4);
     return 8;
   }
 }
 
 /**
- * Represent a contiguous sequence of a specific layout as an Array.
- *
- * *Factory*: {@link module:Layout.seq|seq}
- *
- * @param {Layout} elementLayout - initializer for {@link
- * Sequence#elementLayout|elementLayout}.
+ * Represent a 32-bit floating point number in little-endian format.
  *
- * @param {(Number|ExternalLayout)} count - initializer for {@link
- * Sequence#count|count}.  The parameter must be either a positive
- * integer or an instance of {@link ExternalLayout}.
+ * *Factory*: {@link module:Layout.f32|f32}
  *
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @augments {Layout}
+ * @augments {NumericLayout}
+ */
+class Float extends NumericLayout {
+  constructor(property) {
+    super(4, property);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return b.readFloatLE(offset);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    b.writeFloatLE(src, offset);
+    return 4;
+  }
+}
+
+/**
+ * Represent a 32-bit floating point number in big-endian format.
+ *
+ * *Factory*: {@link module:Layout.f32be|f32be}
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {NumericLayout}
+ */
+class FloatBE extends NumericLayout {
+  constructor(property) {
+    super(4, property);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return b.readFloatBE(offset);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    b.writeFloatBE(src, offset);
+    return 4;
+  }
+}
+
+/**
+ * Represent a 64-bit floating point number in little-endian format.
+ *
+ * *Factory*: {@link module:Layout.f64|f64}
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {NumericLayout}
+ */
+class Double extends NumericLayout {
+  constructor(property) {
+    super(8, property);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return b.readDoubleLE(offset);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    b.writeDoubleLE(src, offset);
+    return 8;
+  }
+}
+
+/**
+ * Represent a 64-bit floating point number in big-endian format.
+ *
+ * *Factory*: {@link module:Layout.f64be|f64be}
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {NumericLayout}
+ */
+class DoubleBE extends NumericLayout {
+  constructor(property) {
+    super(8, property);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return b.readDoubleBE(offset);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    b.writeDoubleBE(src, offset);
+    return 8;
+  }
+}
+
+/* Scratch space used to access the IEEE 754 binary64 representation
+ * of a Number. */
+const float64Scratch = Buffer.alloc(8);
+
+/* Convert a Number to the bit representation of a binary floating
+ * point format with `expBits` exponent bits and `mantBits` explicit
+ * significand bits, rounding to nearest with ties to even.  The
+ * result preserves the sign of zero, infinities, and as much of a NaN
+ * payload as fits (a NaN never becomes an infinity). */
+function encodeMiniFloat(v, expBits, mantBits) {
+  float64Scratch.writeDoubleBE(v, 0);
+  const hi32 = float64Scratch.readUInt32BE(0);
+  const lo32 = float64Scratch.readUInt32BE(4);
+  const sign = (hi32 >>> 31) * Math.pow(2, expBits + mantBits);
+  const exp64 = (hi32 >>> 20) & 0x7FF;
+  /* The 52-bit significand is exact in a Number. */
+  const mant64 = (hi32 & 0xFFFFF) * V2E32 + lo32;
+  const expMax = Math.pow(2, expBits) - 1;
+  if (0x7FF === exp64) {
+    let mant = 0;
+    if (0 !== mant64) {
+      mant = Math.floor(mant64 / Math.pow(2, 52 - mantBits));
+      if (0 === mant) {
+        /* Payload lost in truncation: produce a quiet NaN. */
+        mant = Math.pow(2, mantBits - 1);
+      }
+    }
+    return sign + expMax * Math.pow(2, mantBits) + mant;
+  }
+  if (0 === exp64) {
+    /* Zero or binary64 subnormal, both of which are far below the
+     * smallest subnormal of the narrower format. */
+    return sign;
+  }
+  const bias = Math.pow(2, expBits - 1) - 1;
+  const exp = Math.max(exp64 - 1023, 1 - bias);
+  /* The value is sig * 2^(exp64 - 1075); we need it as an integer
+   * multiple of 2^(exp - mantBits), the quantum at exp. */
+  const sig = Math.pow(2, 52) + mant64;
+  const shift = (exp - mantBits) - (exp64 - 1075);
+  let rv = 0;
+  if (54 > shift) {
+    const unit = Math.pow(2, shift);
+    rv = Math.floor(sig / unit);
+    const rem = sig - rv * unit;
+    const half = unit / 2;
+    if ((rem > half)
+        || ((rem === half) && (1 === (rv % 2)))) {
+      rv += 1;
+    }
+  }
+  /* The implicit bit of a normal value carries into the exponent
+   * field, as does rounding up out of the current binade. */
+  rv += (exp + bias - 1) * Math.pow(2, mantBits);
+  const infinity = expMax * Math.pow(2, mantBits);
+  if (rv > infinity) {
+    rv = infinity;
+  }
+  return sign + rv;
+}
+
+/* Convert the bit representation of a narrow binary floating point
+ * format (see encodeMiniFloat) to a Number.  NaN payloads are
+ * preserved in the returned value. */
+function decodeMiniFloat(bits, expBits, mantBits) {
+  const mantScale = Math.pow(2, mantBits);
+  const signBit = Math.pow(2, expBits + mantBits);
+  const negative = (bits >= signBit);
+  if (negative) {
+    bits -= signBit;
+  }
+  const exp = Math.floor(bits / mantScale);
+  const mant = bits - exp * mantScale;
+  const expMax = Math.pow(2, expBits) - 1;
+  if (expMax === exp) {
+    if (0 === mant) {
+      return negative ? -Infinity : Infinity;
+    }
+    /* Build the binary64 NaN carrying the same payload. */
+    const hi32 = (negative ? 0x80000000 : 0) + 0x7FF00000
+          + mant * Math.pow(2, 20 - mantBits);
+    float64Scratch.writeUInt32BE(hi32, 0);
+    float64Scratch.writeUInt32BE(0, 4);
+    return float64Scratch.readDoubleBE(0);
+  }
+  const bias = Math.pow(2, expBits - 1) - 1;
+  let rv;
+  if (0 === exp) {
+    rv = mant * Math.pow(2, 1 - bias - mantBits);
+  } else {
+    rv = (mantScale + mant) * Math.pow(2, exp - bias - mantBits);
+  }
+  return negative ? -rv : rv;
+}
+
+/**
+ * Represent an IEEE 754 binary16 (half precision) floating point
+ * number in little-endian format.
+ *
+ * *Factory*: {@link module:Layout.f16|f16}
+ *
+ * Encoding rounds to nearest with ties to even, producing subnormals,
+ * signed zeros, and infinities as required.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {NumericLayout}
+ */
+class Float16 extends NumericLayout {
+  constructor(property) {
+    super(2, property);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return decodeMiniFloat(b.readUInt16LE(offset), 5, 10);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    b.writeUInt16LE(encodeMiniFloat(src, 5, 10), offset);
+    return 2;
+  }
+}
+
+/**
+ * Represent an IEEE 754 binary16 (half precision) floating point
+ * number in big-endian format.
+ *
+ * *Factory*: {@link module:Layout.f16be|f16be}
+ *
+ * See {@link Float16} for rounding behavior.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {NumericLayout}
+ */
+class Float16BE extends NumericLayout {
+  constructor(property) {
+    super(2, property);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return decodeMiniFloat(b.readUInt16BE(offset), 5, 10);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    b.writeUInt16BE(encodeMiniFloat(src, 5, 10), offset);
+    return 2;
+  }
+}
+
+/**
+ * Represent a bfloat16 floating point number (the upper half of an
+ * IEEE 754 binary32 value) in little-endian format.
+ *
+ * *Factory*: {@link module:Layout.bf16|bf16}
+ *
+ * Encoding rounds to nearest with ties to even, producing subnormals,
+ * signed zeros, and infinities as required.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {NumericLayout}
+ */
+class BFloat16 extends NumericLayout {
+  constructor(property) {
+    super(2, property);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return decodeMiniFloat(b.readUInt16LE(offset), 8, 7);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    b.writeUInt16LE(encodeMiniFloat(src, 8, 7), offset);
+    return 2;
+  }
+}
+
+/**
+ * Represent a bfloat16 floating point number (the upper half of an
+ * IEEE 754 binary32 value) in big-endian format.
+ *
+ * *Factory*: {@link module:Layout.bf16be|bf16be}
+ *
+ * See {@link BFloat16} for rounding behavior.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {NumericLayout}
+ */
+class BFloat16BE extends NumericLayout {
+  constructor(property) {
+    super(2, property);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return decodeMiniFloat(b.readUInt16BE(offset), 8, 7);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    b.writeUInt16BE(encodeMiniFloat(src, 8, 7), offset);
+    return 2;
+  }
+}
+
+/* The rounding modes supported when converting a real value to an
+ * integral encoding:
+ * * `nearest` rounds to the nearest integer, with ties away from
+ *   zero;
+ * * `even` rounds to the nearest integer, with ties to even;
+ * * `floor` rounds towards negative infinity;
+ * * `ceil` rounds towards positive infinity;
+ * * `trunc` rounds towards zero. */
+const ROUNDING_MODES = ['nearest', 'even', 'floor', 'ceil', 'trunc'];
+
+/* Round `v` to an integer using one of ROUNDING_MODES. */
+function roundValue(v, rounding) {
+  switch (rounding) {
+    case 'even': {
+      const fv = Math.floor(v);
+      const frac = v - fv;
+      if ((0.5 < frac)
+          || ((0.5 === frac) && (0 !== (fv % 2)))) {
+        return fv + 1;
+      }
+      return fv;
+    }
+    case 'floor':
+      return Math.floor(v);
+    case 'ceil':
+      return Math.ceil(v);
+    case 'trunc':
+      return Math.trunc(v);
+    default:
+      return Math.sign(v) * Math.round(Math.abs(v));
+  }
+}
+
+/**
+ * Represent a binary fixed-point number stored in an integer.
+ *
+ * *Factory*: {@link module:Layout.fixed|fixed}
+ *
+ * The layout follows the Q m.n convention where `m` {@link
+ * FixedPoint#intBits|integer bits} and `n` {@link
+ * FixedPoint#fracBits|fractional bits} are stored in the integer
+ * {@link FixedPoint#word|word}.  When the word is signed an
+ * additional sign bit is required, so a signed 16-bit word holds at
+ * most Q0.15 (Q15) or Q7.8 values.  Decoded values are Numbers equal
+ * to the integer value divided by 2^n.
+ *
+ * @param {Layout} word - initializer for {@link
+ * FixedPoint#word|word}.  The parameter must be an instance of {@link
+ * UInt}, {@link UIntBE}, {@link Int}, or {@link IntBE} that is no more
+ * than 6 bytes wide.
+ *
+ * @param {Number} intBits - initializer for {@link
+ * FixedPoint#intBits|intBits}.
+ *
+ * @param {Number} fracBits - initializer for {@link
+ * FixedPoint#fracBits|fracBits}.
+ *
+ * @param {Object} [options] - configuration of encoding behavior.  If
+ * the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {String} [options.rounding] - initializer for {@link
+ * FixedPoint#rounding|rounding}.
+ *
+ * @param {Boolean} [options.saturate] - initializer for {@link
+ * FixedPoint#saturate|saturate}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class FixedPoint extends Layout {
+  constructor(word, intBits, fracBits, options, property) {
+    if (!((word instanceof UInt)
+          || (word instanceof UIntBE)
+          || (word instanceof Int)
+          || (word instanceof IntBE))) {
+      throw new TypeError('word must be a UInt, UIntBE, Int, or IntBE layout');
+    }
+    if (6 < word.span) {
+      throw new RangeError('word cannot exceed 48 bits');
+    }
+    if ((!Number.isInteger(intBits)) || (0 > intBits)) {
+      throw new TypeError('intBits must be a non-negative integer');
+    }
+    if ((!Number.isInteger(fracBits)) || (0 > fracBits)) {
+      throw new TypeError('fracBits must be a non-negative integer');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const signed = ((word instanceof Int)
+                    || (word instanceof IntBE));
+    const bits = intBits + fracBits + (signed ? 1 : 0);
+    if ((0 === bits) || (bits > (8 * word.span))) {
+      throw new RangeError('Q' + intBits + '.' + fracBits
+                           + ' does not fit in ' + (8 * word.span) + '-bit word');
+    }
+    let rounding = options.rounding;
+    if (undefined === rounding) {
+      rounding = 'nearest';
+    } else if (0 > ROUNDING_MODES.indexOf(rounding)) {
+      throw new TypeError('rounding must be one of ' + ROUNDING_MODES.join(', '));
+    }
+    super(word.span, property);
+
+    /** The integer layout holding the scaled value. */
+    this.word = word;
+
+    /** The number of integer bits in the representation, excluding
+     * any sign bit. */
+    this.intBits = intBits;
+
+    /** The number of fractional bits in the representation. */
+    this.fracBits = fracBits;
+
+    /** `true` iff the {@link FixedPoint#word|word} is a signed
+     * integer. */
+    this.signed = signed;
+
+    /** The method used to round a scaled value to an integer when
+     * encoding: one of `nearest` (ties away from zero, the default),
+     * `even` (ties to even), `floor`, `ceil`, or `trunc`. */
+    this.rounding = rounding;
+
+    /** Control behavior of {@link Layout#encode|encode()} for values
+     * outside the representable range.
+     *
+     * If `true` such values are clamped to the nearest representable
+     * value.  If `false` (default) a `RangeError` is thrown. */
+    this.saturate = !!options.saturate;
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.word.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return this.word.decode(b, offset) / Math.pow(2, this.fracBits);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    if (('number' !== typeof src)
+        || Number.isNaN(src)) {
+      throw new TypeError(nameWithProperty('FixedPoint.encode', this)
+                          + ' value must be a Number');
+    }
+    const vbits = this.intBits + this.fracBits;
+    const max = Math.pow(2, vbits) - 1;
+    const min = this.signed ? -Math.pow(2, vbits) : 0;
+    let v = roundValue(src * Math.pow(2, this.fracBits), this.rounding);
+    if ((v < min) || (v > max)) {
+      if (!this.saturate) {
+        throw new RangeError(nameWithProperty('FixedPoint.encode', this)
+                             + ' value out of range for Q'
+                             + this.intBits + '.' + this.fracBits);
+      }
+      v = (v < min) ? min : max;
+    }
+    return this.word.encode(v, b, offset);
+  }
+}
+
+/* Determine the span of a variable-length integer in which every
+ * byte except the last has its most significant bit set.  This is
+ * true of LEB128 and of VLQ encodings. */
+function varintSpan(b, offset) {
+  if (!Buffer.isBuffer(b)) {
+    throw new TypeError('b must be a Buffer');
+  }
+  if (undefined === offset) {
+    offset = 0;
+  }
+  let idx = offset;
+  while ((idx < b.length) && (0x80 & b[idx])) {
+    idx += 1;
+  }
+  if (idx >= b.length) {
+    throw new RangeError('varint overruns Buffer');
+  }
+  return 1 + idx - offset;
+}
+
+/* Decode a little-endian base-128 integer, sign-extending from the
+ * last encoded bit if `signed`.  Groups are accumulated from the most
+ * significant so no intermediate result exceeds the final magnitude. */
+function decodeLEB128(b, offset, signed, name, lo) {
+  const span = varintSpan(b, offset);
+  let idx = offset + span - 1;
+  let value = b[idx] & 0x7F;
+  if (signed && (0x40 & value)) {
+    value -= 0x80;
+  }
+  while (idx > offset) {
+    idx -= 1;
+    value = (value * 0x80) + (b[idx] & 0x7F);
+  }
+  if (!Number.isSafeInteger(value)) {
+    throw new RangeError(nameWithProperty(name, lo)
+                         + ' value exceeds Number.MAX_SAFE_INTEGER');
+  }
+  return value;
+}
+
+/* Verify that an encoded varint value is a safe integer, and if
+ * `unsigned` that it is not negative. */
+function checkVarintValue(src, unsigned, name, lo) {
+  if (!Number.isSafeInteger(src)) {
+    throw new TypeError(nameWithProperty(name, lo)
+                        + ' value must be a safe integer');
+  }
+  if (unsigned && (0 > src)) {
+    throw new RangeError(nameWithProperty(name, lo)
+                         + ' value must be non-negative');
+  }
+}
+
+/* Store the bytes of an encoded varint into a buffer. */
+function writeVarintBytes(bytes, b, offset) {
+  if ((offset + bytes.length) > b.length) {
+    throw new RangeError('encoding overruns Buffer');
+  }
+  bytes.forEach((v, i) => {
+    b[offset + i] = v;
+  });
+  return bytes.length;
+}
+
+/* Produce the unsigned LEB128 bytes for a non-negative integer. */
+function encodeULEB128(v) {
+  const bytes = [];
+  do {
+    const byte = v % 0x80;
+    v = (v - byte) / 0x80;
+    bytes.push((0 < v) ? (0x80 | byte) : byte);
+  } while (0 < v);
+  return bytes;
+}
+
+/**
+ * Represent an unsigned integer in the variable-length little-endian
+ * base-128 (LEB128) format used by DWARF, WebAssembly, and protocol
+ * buffer varints.
+ *
+ * *Factory*: {@link module:Layout.uleb128|uleb128}
+ *
+ * The {@link Layout#getSpan|span} is value-specific.  Values decode to
+ * and encode from Numbers, and must not exceed
+ * `Number.MAX_SAFE_INTEGER`.
+ *
+ * An {@link OffsetLayout} wrapping this layout satisfies {@link
+ * ExternalLayout#isCount|isCount()}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class ULEB128 extends Layout {
+  constructor(property) {
+    super(-1, property);
+  }
+
+  /** @override */
+  getSpan(b, offset) {
+    return varintSpan(b, offset);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return decodeLEB128(b, offset, false, 'ULEB128.decode', this);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    checkVarintValue(src, true, 'ULEB128.encode', this);
+    return writeVarintBytes(encodeULEB128(src), b, offset);
+  }
+}
+
+/**
+ * Represent a signed integer in the variable-length little-endian
+ * base-128 (LEB128) format, using two's complement sign extension
+ * from the last encoded bit.
+ *
+ * *Factory*: {@link module:Layout.sleb128|sleb128}
+ *
+ * The {@link Layout#getSpan|span} is value-specific.  Values decode to
+ * and encode from Numbers, and must be safe integers.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class SLEB128 extends Layout {
+  constructor(property) {
+    super(-1, property);
+  }
+
+  /** @override */
+  getSpan(b, offset) {
+    return varintSpan(b, offset);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return decodeLEB128(b, offset, true, 'SLEB128.decode', this);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    checkVarintValue(src, false, 'SLEB128.encode', this);
+    const bytes = [];
+    let v = src;
+    while (true) {
+      const byte = v - (Math.floor(v / 0x80) * 0x80);
+      v = Math.floor(v / 0x80);
+      if (((0 === v) && !(0x40 & byte))
+          || ((-1 === v) && (0x40 & byte))) {
+        bytes.push(byte);
+        break;
+      }
+      bytes.push(0x80 | byte);
+    }
+    return writeVarintBytes(bytes, b, offset);
+  }
+}
+
+/**
+ * Represent a signed integer as a zigzag-encoded unsigned LEB128
+ * varint, as with protocol buffer `sint32` and `sint64` fields.
+ *
+ * *Factory*: {@link module:Layout.zigzag|zigzag}
+ *
+ * Zigzag encoding maps signed integers to unsigned integers so that
+ * values of small magnitude have short encodings: 0, -1, 1, -2, ...
+ * map to 0, 1, 2, 3, ....  Values decode to and encode from Numbers,
+ * and the zigzag-encoded value must not exceed
+ * `Number.MAX_SAFE_INTEGER`.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class ZigZag extends Layout {
+  constructor(property) {
+    super(-1, property);
+  }
+
+  /** @override */
+  getSpan(b, offset) {
+    return varintSpan(b, offset);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const zv = decodeLEB128(b, offset, false, 'ZigZag.decode', this);
+    if (zv % 2) {
+      return -(zv + 1) / 2;
+    }
+    return zv / 2;
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    checkVarintValue(src, false, 'ZigZag.encode', this);
+    const zv = (0 > src) ? (-2 * src - 1) : (2 * src);
+    if (zv > Number.MAX_SAFE_INTEGER) {
+      throw new RangeError(nameWithProperty('ZigZag.encode', this)
+                           + ' value magnitude too large');
+    }
+    return writeVarintBytes(encodeULEB128(zv), b, offset);
+  }
+}
+
+/**
+ * Represent an unsigned integer in the big-endian variable-length
+ * quantity (VLQ) format used by MIDI files.
+ *
+ * *Factory*: {@link module:Layout.vlq|vlq}
+ *
+ * Each byte carries seven bits of the value, most significant group
+ * first, with the high bit set on all bytes but the last.  The {@link
+ * Layout#getSpan|span} is value-specific.  Values decode to and
+ * encode from Numbers, and must not exceed `Number.MAX_SAFE_INTEGER`.
+ *
+ * An {@link OffsetLayout} wrapping this layout satisfies {@link
+ * ExternalLayout#isCount|isCount()}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class VLQ extends Layout {
+  constructor(property) {
+    super(-1, property);
+  }
+
+  /** @override */
+  getSpan(b, offset) {
+    return varintSpan(b, offset);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const span = varintSpan(b, offset);
+    let value = 0;
+    for (let i = 0; i < span; ++i) {
+      value = (value * 0x80) + (b[offset + i] & 0x7F);
+    }
+    if (value > Number.MAX_SAFE_INTEGER) {
+      throw new RangeError(nameWithProperty('VLQ.decode', this)
+                           + ' value exceeds Number.MAX_SAFE_INTEGER');
+    }
+    return value;
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    checkVarintValue(src, true, 'VLQ.encode', this);
+    const bytes = encodeULEB128(src).reverse().map((v, i, arr) => {
+      return (i < (arr.length - 1)) ? (0x80 | v) : (0x7F & v);
+    });
+    return writeVarintBytes(bytes, b, offset);
+  }
+}
+
+/**
+ * Represent a decimal integer in binary-coded decimal form.
+ *
+ * *Factory*: {@link module:Layout.bcd|bcd}
+ *
+ * Packed BCD stores two digits per byte, most significant digit
+ * first.  When the number of digits (plus sign nibble, if present) is
+ * odd the first nibble of the encoding is a zero pad.  A signed packed
+ * value carries a trailing sign nibble in the style of IBM packed
+ * decimal: `0xB` or `0xD` indicate a negative value; `0xA`, `0xC`,
+ * `0xE`, and `0xF` a non-negative value.  Encoding uses `0xC` and
+ * `0xD`.
+ *
+ * Unpacked BCD stores one digit per byte in the low nibble, with a
+ * zero high nibble.
+ *
+ * The {@link Layout#span|span} is determined by the number of digits
+ * and is constant.
+ *
+ * **NOTE** Values with more than 15 digits may not decode to an exact
+ * Number; use {@link BCD#asString|asString} for such values.
+ *
+ * @param {Number} digits - initializer for {@link BCD#digits|digits}.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {Boolean} [options.packed] - initializer for {@link
+ * BCD#packed|packed}.  Defaults to `true`.
+ *
+ * @param {Boolean} [options.lowNibbleFirst] - initializer for {@link
+ * BCD#lowNibbleFirst|lowNibbleFirst}.
+ *
+ * @param {Boolean} [options.signed] - initializer for {@link
+ * BCD#signed|signed}.
+ *
+ * @param {Boolean} [options.asString] - initializer for {@link
+ * BCD#asString|asString}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class BCD extends Layout {
+  constructor(digits, options, property) {
+    if ((!Number.isInteger(digits)) || (0 >= digits)) {
+      throw new TypeError('digits must be a positive integer');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const packed = (undefined === options.packed) || !!options.packed;
+    const signed = !!options.signed;
+    if (signed && !packed) {
+      throw new TypeError('unpacked BCD cannot be signed');
+    }
+    let span = digits;
+    if (packed) {
+      span = Math.ceil((digits + (signed ? 1 : 0)) / 2);
+    }
+    super(span, property);
+
+    /** The number of decimal digits in the representation. */
+    this.digits = digits;
+
+    /** `true` (default) if two digits are stored per byte; `false` if
+     * each digit occupies a full byte. */
+    this.packed = packed;
+
+    /** `true` if the first nibble of each packed byte is its least
+     * significant nibble; `false` (default) if it is the most
+     * significant nibble. */
+    this.lowNibbleFirst = !!options.lowNibbleFirst;
+
+    /** `true` if a packed representation ends with a sign nibble. */
+    this.signed = signed;
+
+    /** `true` if {@link Layout#decode|decode()} produces a string of
+     * {@link BCD#digits|digits} decimal digits (preceded by `-` for
+     * negative values) rather than a Number. */
+    this.asString = !!options.asString;
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    if ((offset + this.span) > b.length) {
+      throw new RangeError('decoding overruns Buffer');
+    }
+    const nibbles = [];
+    for (let i = 0; i < this.span; ++i) {
+      const v = b[offset + i];
+      if (!this.packed) {
+        nibbles.push(v >> 4, v & 0x0F);
+      } else if (this.lowNibbleFirst) {
+        nibbles.push(v & 0x0F, v >> 4);
+      } else {
+        nibbles.push(v >> 4, v & 0x0F);
+      }
+    }
+    let negative = false;
+    if (this.signed) {
+      const sn = nibbles.pop();
+      if (0x0A > sn) {
+        throw new RangeError(nameWithProperty('BCD.decode', this)
+                             + ' invalid sign nibble ' + sn);
+      }
+      negative = ((0x0B === sn) || (0x0D === sn));
+    }
+    let text = '';
+    nibbles.forEach((v, i) => {
+      if ((!this.packed) && (0 === (i % 2))) {
+        if (0 !== v) {
+          throw new RangeError(nameWithProperty('BCD.decode', this)
+                               + ' invalid unpacked digit byte');
+        }
+      } else if (9 < v) {
+        throw new RangeError(nameWithProperty('BCD.decode', this)
+                             + ' invalid digit nibble ' + v);
+      } else {
+        text += v;
+      }
+    });
+    /* Discard and verify the pad nibble of packed values. */
+    if (text.length > this.digits) {
+      if ('0' !== text[0]) {
+        throw new RangeError(nameWithProperty('BCD.decode', this)
+                             + ' non-zero pad nibble');
+      }
+      text = text.slice(1);
+    }
+    if (this.asString) {
+      return (negative ? '-' : '') + text;
+    }
+    const rv = parseInt(text);
+    return negative ? -rv : rv;
+  }
+
+  /** Implement {@link Layout#encode|encode} for {@link BCD}.
+   *
+   * The source may be an integral Number or a string of decimal
+   * digits, optionally preceded by `-` if the layout is {@link
+   * BCD#signed|signed}.  Values that require more than {@link
+   * BCD#digits|digits} digits are rejected. */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    let text;
+    if (Number.isSafeInteger(src)) {
+      text = String(Math.abs(src));
+      if (0 > src) {
+        text = '-' + text;
+      }
+    } else if (('string' === typeof src)
+               && /^-?[0-9]+$/.test(src)) {
+      text = src;
+    } else {
+      throw new TypeError(nameWithProperty('BCD.encode', this)
+                          + ' value must be an integer or string of decimal digits');
+    }
+    const negative = ('-' === text[0]);
+    if (negative) {
+      if (!this.signed) {
+        throw new RangeError(nameWithProperty('BCD.encode', this)
+                             + ' value must be non-negative');
+      }
+      text = text.slice(1);
+    }
+    text = text.replace(/^0+(?=.)/, '');
+    if (text.length > this.digits) {
+      throw new RangeError(nameWithProperty('BCD.encode', this)
+                           + ' value exceeds ' + this.digits + ' digits');
+    }
+    if ((offset + this.span) > b.length) {
+      throw new RangeError('encoding overruns Buffer');
+    }
+    const nibbles = [];
+    for (const c of text) {
+      nibbles.push(c.charCodeAt(0) - 0x30);
+    }
+    if (this.signed) {
+      nibbles.push(negative ? 0x0D : 0x0C);
+    }
+    if (!this.packed) {
+      nibbles.forEach((v, i) => {
+        b[offset + this.span - nibbles.length + i] = v;
+      });
+      b.fill(0, offset, offset + this.span - nibbles.length);
+      return this.span;
+    }
+    while (nibbles.length < (2 * this.span)) {
+      nibbles.unshift(0);
+    }
+    for (let i = 0; i < this.span; ++i) {
+      const first = nibbles[2 * i];
+      const second = nibbles[2 * i + 1];
+      if (this.lowNibbleFirst) {
+        b[offset + i] = (second << 4) | first;
+      } else {
+        b[offset + i] = (first << 4) | second;
+      }
+    }
+    return this.span;
+  }
+}
+
+/* True iff the layout encodes a floating point value, so that values
+ * need not be rounded to integers before encoding. */
+function isFloatLayout(layout) {
+  return ((layout instanceof Float)
+          || (layout instanceof FloatBE)
+          || (layout instanceof Double)
+          || (layout instanceof DoubleBE)
+          || (layout instanceof Float16)
+          || (layout instanceof Float16BE)
+          || (layout instanceof BFloat16)
+          || (layout instanceof BFloat16BE));
+}
+
+/**
+ * Adapt a numeric layout to represent values in engineering units
+ * through a linear transformation.
+ *
+ * *Factory*: {@link module:Layout.scaled|scaled}
+ *
+ * A raw value decoded by {@link Scaled#layout|layout} is presented as
+ * `raw * scale + offset`.  Encoding applies the inverse
+ * transformation, rounding the result if the underlying layout is not
+ * floating point.
+ *
+ * The {@link Layout#span|span} and {@link Layout#getSpan|getSpan()}
+ * of the adapter are those of the underlying layout.
+ *
+ * @param {Layout} layout - initializer for {@link
+ * Scaled#layout|layout}.
+ *
+ * @param {Number} scale - initializer for {@link Scaled#scale|scale}.
+ *
+ * @param {Number} [offset] - initializer for {@link
+ * Scaled#offset|offset}.  Defaults to zero.
+ *
+ * @param {Object} [options] - configuration of encoding behavior.  If
+ * the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {String} [options.rounding] - initializer for {@link
+ * Scaled#rounding|rounding}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.  If not provided the property of
+ * `layout` is used.
+ *
+ * @augments {Layout}
+ */
+class Scaled extends Layout {
+  constructor(layout, scale, offset, options, property) {
+    if (!(layout instanceof Layout)) {
+      throw new TypeError('layout must be a Layout');
+    }
+    if (!(Number.isFinite(scale) && (0 !== scale))) {
+      throw new TypeError('scale must be a finite non-zero Number');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    if (undefined === offset) {
+      offset = 0;
+    } else if (!Number.isFinite(offset)) {
+      throw new TypeError('offset must be a finite Number');
+    }
+    options = options || {};
+    let rounding = options.rounding;
+    if (undefined === rounding) {
+      rounding = isFloatLayout(layout) ? 'none' : 'nearest';
+    } else if (('none' !== rounding)
+               && (0 > ROUNDING_MODES.indexOf(rounding))) {
+      throw new TypeError('rounding must be none or one of '
+                          + ROUNDING_MODES.join(', '));
+    }
+    super(layout.span, property || layout.property);
+
+    /** The layout for the raw value. */
+    this.layout = layout;
+
+    /** The multiplier applied to the raw value. */
+    this.scale = scale;
+
+    /** The value added to the scaled raw value. */
+    this.offset = offset;
+
+    /** The method used to round the raw value when encoding.  This is
+     * `none` when the underlying layout is floating point, and
+     * otherwise defaults to `nearest`.  See {@link
+     * FixedPoint#rounding|FixedPoint} for other values. */
+    this.rounding = rounding;
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.layout.getAlignment();
+  }
+
+  /** @override */
+  getSpan(b, offset) {
+    return this.layout.getSpan(b, offset);
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return Number(this.layout.decode(b, offset)) * this.scale + this.offset;
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    if (!Number.isFinite(src)) {
+      throw new TypeError(nameWithProperty('Scaled.encode', this)
+                          + ' value must be a finite Number');
+    }
+    let raw = (src - this.offset) / this.scale;
+    if ('none' !== this.rounding) {
+      raw = roundValue(raw, this.rounding);
+    }
+    return this.layout.encode(raw, b, offset);
+  }
+}
+
+/* The policies supported for enumerated integers that have no name:
+ * * `throw` rejects the value;
+ * * `number` passes the integer through;
+ * * `sentinel` maps the integer to a configured sentinel. */
+const ENUMERATION_POLICIES = ['throw', 'number', 'sentinel'];
+
+/* Validate the name to value table and unknown-value policy for an
+ * enumeration, and record the derived state on `en`. */
+function configureEnumeration(en, values, options) {
+  if (!(values && ('object' === typeof values))) {
+    throw new TypeError('values must be an Object mapping names to integers');
+  }
+  options = options || {};
+  let unknown = options.unknown;
+  if (undefined === unknown) {
+    unknown = 'throw';
+  } else if (0 > ENUMERATION_POLICIES.indexOf(unknown)) {
+    throw new TypeError('unknown must be one of ' + ENUMERATION_POLICIES.join(', '));
+  }
+  if (('sentinel' === unknown)
+      && (!options.hasOwnProperty('sentinel'))) {
+    throw new TypeError('sentinel policy requires a sentinel value');
+  }
+  const names = {};
+  for (const name of Object.keys(values)) {
+    const v = values[name];
+    if (!Number.isInteger(v)) {
+      throw new TypeError('value for ' + name + ' must be an integer');
+    }
+    if (names.hasOwnProperty(v)) {
+      throw new Error('value ' + v + ' has names ' + names[v] + ' and ' + name);
+    }
+    names[v] = name;
+  }
+
+  /** The map from names to integer values.
+   *
+   * @memberof Enumeration# */
+  en.values = Object.freeze(Object.assign({}, values));
+
+  /** The map from integer values to names.
+   *
+   * @memberof Enumeration# */
+  en.names = Object.freeze(names);
+
+  /** The treatment of integers that have no name: `throw` (default)
+   * to reject them, `number` to pass them through unchanged, or
+   * `sentinel` to decode them as {@link
+   * Enumeration#sentinel|sentinel}.
+   *
+   * @memberof Enumeration# */
+  en.unknown = unknown;
+
+  /** The value produced when decoding an unnamed integer under the
+   * `sentinel` policy.
+   *
+   * @memberof Enumeration# */
+  en.sentinel = options.sentinel;
+}
+
+/* Translate a decoded integer to its name under the enumeration
+ * policy. */
+function enumerationName(en, v, name) {
+  if (en.names.hasOwnProperty(v)) {
+    return en.names[v];
+  }
+  if ('number' === en.unknown) {
+    return v;
+  }
+  if ('sentinel' === en.unknown) {
+    return en.sentinel;
+  }
+  throw new RangeError(nameWithProperty(name, en) + ' unrecognized value ' + v);
+}
+
+/* Translate a name or integer to the integer to be encoded under the
+ * enumeration policy. */
+function enumerationValue(en, src, name) {
+  if (('sentinel' === en.unknown)
+      && (src === en.sentinel)) {
+    throw new RangeError(nameWithProperty(name, en) + ' cannot encode sentinel');
+  }
+  if ('string' === typeof src) {
+    if (!en.values.hasOwnProperty(src)) {
+      throw new RangeError(nameWithProperty(name, en) + ' unrecognized name ' + src);
+    }
+    return en.values[src];
+  }
+  if (!Number.isInteger(src)) {
+    throw new TypeError(nameWithProperty(name, en) + ' value must be a name or integer');
+  }
+  if ((!en.names.hasOwnProperty(src))
+      && ('number' !== en.unknown)) {
+    throw new RangeError(nameWithProperty(name, en) + ' unrecognized value ' + src);
+  }
+  return src;
+}
+
+/**
+ * Represent an integer as a symbolic name drawn from a table.
+ *
+ * *Factory*: {@link module:Layout.enumeration|enumeration}
+ *
+ * Decoding produces the name associated with the integer; encoding
+ * accepts either a name or an integer.  The treatment of integers
+ * that have no name is controlled by {@link
+ * Enumeration#unknown|unknown}.
+ *
+ * For enumerated fields within a {@link BitStructure} see {@link
+ * BitStructure#addEnumeration|addEnumeration}.
+ *
+ * @param {Layout} layout - initializer for {@link
+ * Enumeration#layout|layout}.  The parameter must be an instance of
+ * {@link UInt}, {@link UIntBE}, {@link Int}, or {@link IntBE} that is
+ * no more than 6 bytes wide.
+ *
+ * @param {Object} values - initializer for {@link
+ * Enumeration#values|values}.  Each property is a name, and its value
+ * is the corresponding integer.  Integers must be unique.
+ *
+ * @param {Object} [options] - configuration for unnamed integers.  If
+ * the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {String} [options.unknown] - initializer for {@link
+ * Enumeration#unknown|unknown}.
+ *
+ * @param {*} [options.sentinel] - initializer for {@link
+ * Enumeration#sentinel|sentinel}.  Required when `unknown` is
+ * `sentinel`.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.  If not provided the property of
+ * `layout` is used.
+ *
+ * @augments {Layout}
+ */
+class Enumeration extends Layout {
+  constructor(layout, values, options, property) {
+    if (!((layout instanceof UInt)
+          || (layout instanceof UIntBE)
+          || (layout instanceof Int)
+          || (layout instanceof IntBE))) {
+      throw new TypeError('layout must be a UInt, UIntBE, Int, or IntBE layout');
+    }
+    if (6 < layout.span) {
+      throw new RangeError('layout cannot exceed 48 bits');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    super(layout.span, property || layout.property);
+
+    /** The layout for the integer value. */
+    this.layout = layout;
+
+    configureEnumeration(this, values, options);
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.layout.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return enumerationName(this, this.layout.decode(b, offset), 'Enumeration.decode');
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return this.layout.encode(enumerationValue(this, src, 'Enumeration.encode'),
+                              b, offset);
+  }
+}
+
+/* The policies supported for set bits that have no flag name. */
+const FLAGSET_POLICIES = ['ignore', 'throw', 'preserve'];
+
+/**
+ * Represent a bitmask word as the collection of names for its set
+ * bits.
+ *
+ * *Factory*: {@link module:Layout.flags|flags}
+ *
+ * Decoding produces an Array of the names of the set bits, ordered by
+ * increasing bit position, or a Set of those names if {@link
+ * FlagSet#asSet|asSet} is true.  Encoding accepts any iterable of
+ * names, including Arrays and Sets.
+ *
+ * Bits that are set in the word but that have no name are handled as
+ * specified by {@link FlagSet#unknown|unknown}.  When they are
+ * preserved their value is stored in the {@link
+ * FlagSet#unknownProperty|unknownProperty} property of the decoded
+ * collection, and that property of the source collection is merged
+ * into the encoded word, so that a decode/encode round trip retains
+ * reserved bits.
+ *
+ * @param {Layout} word - initializer for {@link FlagSet#word|word}.
+ * The parameter must be an instance of {@link UInt} or {@link UIntBE}
+ * that is no more than 4 bytes wide.
+ *
+ * @param {Object} flags - initializer for {@link FlagSet#flags|flags}.
+ * Each property is a name, and its value is the position of the
+ * corresponding bit, where zero is the least significant bit.  Bit
+ * positions must be unique and fall within `word`.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {Boolean} [options.set] - initializer for {@link
+ * FlagSet#asSet|asSet}.
+ *
+ * @param {String} [options.unknown] - initializer for {@link
+ * FlagSet#unknown|unknown}.
+ *
+ * @param {String} [options.unknownProperty] - initializer for {@link
+ * FlagSet#unknownProperty|unknownProperty}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.  If not provided the property of `word`
+ * is used.
+ *
+ * @augments {Layout}
+ */
+class FlagSet extends Layout {
+  constructor(word, flags, options, property) {
+    if (!((word instanceof UInt)
+          || (word instanceof UIntBE))) {
+      throw new TypeError('word must be a UInt or UIntBE layout');
+    }
+    if (4 < word.span) {
+      throw new RangeError('word cannot exceed 32 bits');
+    }
+    if (!(flags && ('object' === typeof flags))) {
+      throw new TypeError('flags must be an Object mapping names to bit positions');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const unknown = (undefined === options.unknown) ? 'ignore' : options.unknown;
+    if (0 > FLAGSET_POLICIES.indexOf(unknown)) {
+      throw new TypeError('unknown must be one of ' + FLAGSET_POLICIES.join(', '));
+    }
+    const nbits = 8 * word.span;
+    const names = [];
+    let mask = 0;
+    for (const name of Object.keys(flags)) {
+      const bit = flags[name];
+      if (!(Number.isInteger(bit)
+            && (0 <= bit)
+            && (nbits > bit))) {
+        throw new RangeError('bit for ' + name + ' must be an integer in [0, ' + nbits + ')');
+      }
+      if (undefined !== names[bit]) {
+        throw new Error('bit ' + bit + ' has names ' + names[bit] + ' and ' + name);
+      }
+      names[bit] = name;
+      mask |= (1 << bit);
+    }
+    super(word.span, property || word.property);
+
+    /** The layout for the bitmask word. */
+    this.word = word;
+
+    /** The map from flag names to bit positions. */
+    this.flags = Object.freeze(Object.assign({}, flags));
+
+    /** `true` if decoding produces a Set rather than an Array. */
+    this.asSet = !!options.set;
+
+    /** The treatment of set bits that have no name: `ignore`
+     * (default) to discard them, `throw` to reject them, or `preserve`
+     * to retain them in {@link FlagSet#unknownProperty|unknownProperty}
+     * of the collection. */
+    this.unknown = unknown;
+
+    /** The property of the decoded collection that holds preserved
+     * unnamed bits.  Defaults to `unknownBits`. */
+    this.unknownProperty = options.unknownProperty || 'unknownBits';
+
+    /* Names indexed by bit position, and the mask of named bits. */
+    this._names = names;
+    this._mask = mask >>> 0;
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.word.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const word = this.word.decode(b, offset);
+    const extra = (word & ~this._mask) >>> 0;
+    if (extra && ('throw' === this.unknown)) {
+      throw new RangeError(nameWithProperty('FlagSet.decode', this)
+                           + ' unrecognized bits 0x' + extra.toString(16));
+    }
+    const rv = [];
+    this._names.forEach((name, bit) => {
+      if (word & (1 << bit)) {
+        rv.push(name);
+      }
+    });
+    const dest = this.asSet ? new Set(rv) : rv;
+    if ('preserve' === this.unknown) {
+      dest[this.unknownProperty] = extra;
+    }
+    return dest;
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    if (!(src && ('function' === typeof src[Symbol.iterator]))
+        || ('string' === typeof src)) {
+      throw new TypeError(nameWithProperty('FlagSet.encode', this)
+                          + ' src must be an iterable of flag names');
+    }
+    let word = 0;
+    for (const name of src) {
+      if (!this.flags.hasOwnProperty(name)) {
+        throw new RangeError(nameWithProperty('FlagSet.encode', this)
+                             + ' unrecognized flag ' + name);
+      }
+      word |= (1 << this.flags[name]);
+    }
+    if ('preserve' === this.unknown) {
+      const extra = src[this.unknownProperty];
+      if (undefined !== extra) {
+        if (!(Number.isInteger(extra)
+              && (0 <= extra)
+              && (0 === (extra & this._mask))
+              && (extra < Math.pow(2, 8 * this.span)))) {
+          throw new RangeError(nameWithProperty('FlagSet.encode', this)
+                               + ' invalid ' + this.unknownProperty);
+        }
+        word |= extra;
+      }
+    }
+    return this.word.encode(word >>> 0, b, offset);
+  }
+}
+
+/**
+ * Represent a boolean stored in a full unsigned integer.
+ *
+ * *Factory*: {@link module:Layout.bool|bool}
+ *
+ * This supports C `bool` members held in `uint8_t`, `uint32_t`, and
+ * similar types.  For single-bit booleans within a {@link
+ * BitStructure} see {@link BitStructure#addBoolean|addBoolean}.
+ *
+ * Zero decodes to `false`.  Other values decode to `true` unless
+ * {@link Bool#strict|strict} is set, in which case only {@link
+ * Bool#trueValue|trueValue} decodes to `true`.
+ *
+ * @param {Layout} word - initializer for {@link Bool#word|word}.  The
+ * parameter must be an instance of {@link UInt} or {@link UIntBE}
+ * that is no more than 6 bytes wide.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {Boolean} [options.strict] - initializer for {@link
+ * Bool#strict|strict}.
+ *
+ * @param {(Number|String)} [options.trueValue] - the value encoded
+ * for `true`: a positive integer that fits in `word`, or `ones` for
+ * a value with every bit set.  The default is 1.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.  If not provided the property of `word`
+ * is used.
+ *
+ * @augments {Layout}
+ */
+class Bool extends Layout {
+  constructor(word, options, property) {
+    if (!((word instanceof UInt)
+          || (word instanceof UIntBE))) {
+      throw new TypeError('word must be a UInt or UIntBE layout');
+    }
+    if (6 < word.span) {
+      throw new RangeError('word cannot exceed 48 bits');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const ones = Math.pow(2, 8 * word.span) - 1;
+    let trueValue = options.trueValue;
+    if (undefined === trueValue) {
+      trueValue = 1;
+    } else if ('ones' === trueValue) {
+      trueValue = ones;
+    } else if (!(Number.isInteger(trueValue)
+                 && (0 < trueValue)
+                 && (ones >= trueValue))) {
+      throw new RangeError('trueValue must be ones or a positive integer that fits in word');
+    }
+    super(word.span, property || word.property);
+
+    /** The layout for the integer value. */
+    this.word = word;
+
+    /** `true` if values other than zero and {@link
+     * Bool#trueValue|trueValue} are rejected when decoding. */
+    this.strict = !!options.strict;
+
+    /** The integer encoded for `true`. */
+    this.trueValue = trueValue;
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.word.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const v = this.word.decode(b, offset);
+    if (this.strict
+        && (0 !== v)
+        && (this.trueValue !== v)) {
+      throw new RangeError(nameWithProperty('Bool.decode', this)
+                           + ' invalid value ' + v);
+    }
+    return 0 !== v;
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    if ('boolean' !== typeof src) {
+      throw new TypeError(nameWithProperty('Bool.encode', this)
+                          + ' src must be a boolean');
+    }
+    return this.word.encode(src ? this.trueValue : 0, b, offset);
+  }
+}
+
+/**
+ * Base class for layouts that represent points in time.
+ *
+ * This is an abstract base class; it documents the properties common
+ * to the timestamp layouts.
+ *
+ * @param {Number} span - initializer for {@link Layout#span|span}.
+ *
+ * @param {Date} epoch - initializer for {@link Timestamp#epoch|epoch}.
+ *
+ * @param {Number} resolution - initializer for {@link
+ * Timestamp#resolution|resolution}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @abstract
+ * @augments {Layout}
+ */
+class Timestamp extends Layout {
+  constructor(span, epoch, resolution, property) {
+    super(span, property);
+
+    /** The instant, in UTC, from which the encoded value counts. */
+    this.epoch = epoch;
+
+    /** The interval, in seconds, between successive encoded
+     * values. */
+    this.resolution = resolution;
+  }
+}
+
+/* Seconds from the NTP epoch (1900-01-01) to the Unix epoch. */
+const NTP_UNIX_OFFSET = 2208988800;
+
+/* 100-nanosecond intervals from the FILETIME epoch (1601-01-01) to
+ * the Unix epoch. */
+const FILETIME_UNIX_OFFSET = '116444736000000000';
+
+/* Milliseconds in a GPS week. */
+const GPS_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/* Verify that `src` is a valid Date and return its milliseconds since
+ * the Unix epoch. */
+function dateMilliseconds(src, name, lo) {
+  if (!((src instanceof Date)
+        && Number.isFinite(src.getTime()))) {
+    throw new TypeError(nameWithProperty(name, lo) + ' src must be a valid Date');
+  }
+  return src.getTime();
+}
+
+/* Divide BigInt values rounding toward negative infinity. */
+function floorDivBigInt(n, d) {
+  const q = n / d;
+  return ((n % d) < BigInt(0)) ? q - BigInt(1) : q;
+}
+
+/**
+ * Represent a count of seconds or milliseconds since the Unix epoch
+ * as a Date.
+ *
+ * *Factory*: {@link module:Layout.unixTime|unixTime}
+ *
+ * Encoding discards any part of the Date that is finer than {@link
+ * Timestamp#resolution|resolution}, rounding toward the past.
+ *
+ * @param {Layout} layout - initializer for {@link
+ * UnixTime#layout|layout}.  The parameter must be an instance of
+ * {@link UInt}, {@link UIntBE}, {@link Int}, or {@link IntBE} no more
+ * than 6 bytes wide, or of {@link NearUInt64}, {@link NearUInt64BE},
+ * {@link NearInt64}, or {@link NearInt64BE}.
+ *
+ * @param {Number} [resolution] - initializer for {@link
+ * Timestamp#resolution|resolution}: 1 (default) for seconds or 0.001
+ * for milliseconds.  If the parameter at this position is a string
+ * and `property` is `undefined` the value of this argument will
+ * instead be used as the value of `property`.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.  If not provided the property of
+ * `layout` is used.
+ *
+ * @augments {Timestamp}
+ */
+class UnixTime extends Timestamp {
+  constructor(layout, resolution, property) {
+    if (!((((layout instanceof UInt)
+            || (layout instanceof UIntBE)
+            || (layout instanceof Int)
+            || (layout instanceof IntBE))
+           && (6 >= layout.span))
+          || (layout instanceof NearUInt64)
+          || (layout instanceof NearUInt64BE)
+          || (layout instanceof NearInt64)
+          || (layout instanceof NearInt64BE))) {
+      throw new TypeError('layout must be an integer layout of no more than 48 bits or a Near64 layout');
+    }
+    if (('string' === typeof resolution)
+        && (undefined === property)) {
+      property = resolution;
+      resolution = undefined;
+    }
+    if (undefined === resolution) {
+      resolution = 1;
+    }
+    if ((1 !== resolution)
+        && (0.001 !== resolution)) {
+      throw new RangeError('resolution must be 1 or 0.001');
+    }
+    super(layout.span, new Date(0), resolution, property || layout.property);
+
+    /** The layout for the count of seconds or milliseconds. */
+    this.layout = layout;
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.layout.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return new Date(this.layout.decode(b, offset) * (1000 * this.resolution));
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ms = dateMilliseconds(src, 'UnixTime.encode', this);
+    return this.layout.encode(Math.floor(ms / (1000 * this.resolution)), b, offset);
+  }
+}
+
+/**
+ * Represent an NTP 64-bit timestamp as a BigInt count of nanoseconds
+ * since the Unix epoch.
+ *
+ * *Factory*: {@link module:Layout.ntpTime|ntpTime}
+ *
+ * The encoded value is an unsigned big-endian 32.32 fixed-point count
+ * of seconds since 1900-01-01T00:00:00Z.  Only era 0 (through
+ * 2036-02-07) is supported.  Fractions are rounded to the nearest
+ * nanosecond when decoding and to the nearest 2<sup>-32</sup> second
+ * when encoding.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Timestamp}
+ */
+class NTPTime extends Timestamp {
+  constructor(property) {
+    super(8, new Date(-NTP_UNIX_OFFSET * 1000), Math.pow(2, -32), property);
+
+    /** The layout for the integral seconds. */
+    this.seconds = new UIntBE(4);
+
+    /** The layout for the fractional seconds. */
+    this.fraction = new UIntBE(4);
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.seconds.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const sec = BigInt(this.seconds.decode(b, offset) - NTP_UNIX_OFFSET);
+    const frac = BigInt(this.fraction.decode(b, offset + 4));
+    return (sec * BigInt(1e9))
+      + ((frac * BigInt(1e9) + (BigInt(1) << BigInt(31))) >> BigInt(32));
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ns = toBigInt(src, 'NTPTime.encode', this)
+          + BigInt(NTP_UNIX_OFFSET) * BigInt(1e9);
+    let sec = floorDivBigInt(ns, BigInt(1e9));
+    let frac = ((ns - sec * BigInt(1e9)) << BigInt(32)) + BigInt(5e8);
+    frac /= BigInt(1e9);
+    if ((BigInt(1) << BigInt(32)) === frac) {
+      sec += BigInt(1);
+      frac = BigInt(0);
+    }
+    checkBigIntRange(sec, 32, false, 'NTPTime.encode', this);
+    this.seconds.encode(Number(sec), b, offset);
+    this.fraction.encode(Number(frac), b, offset + 4);
+    return this.span;
+  }
+}
+
+/**
+ * Represent a Windows FILETIME as a BigInt count of nanoseconds since
+ * the Unix epoch.
+ *
+ * *Factory*: {@link module:Layout.fileTime|fileTime}
+ *
+ * The encoded value is an unsigned little-endian 64-bit count of 100
+ * nanosecond intervals since 1601-01-01T00:00:00Z.  Encoding discards
+ * any part of the value that is finer than 100 ns, rounding toward
+ * the past.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Timestamp}
+ */
+class FileTime extends Timestamp {
+  constructor(property) {
+    super(8, new Date(Date.UTC(1601, 0, 1)), 1e-7, property);
+
+    /** The layout for the count of intervals. */
+    this.layout = new UInt64();
+  }
+
+  /** @override */
+  getAlignment() {
+    /* FILETIME is a pair of 32-bit words. */
+    return 4;
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return (this.layout.decode(b, offset) - BigInt(FILETIME_UNIX_OFFSET)) * BigInt(100);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ns = toBigInt(src, 'FileTime.encode', this);
+    const ft = floorDivBigInt(ns, BigInt(100)) + BigInt(FILETIME_UNIX_OFFSET);
+    checkBigIntRange(ft, 64, false, 'FileTime.encode', this);
+    return this.layout.encode(ft, b, offset);
+  }
+}
+
+/**
+ * Represent a GPS week number and time of week as a Date.
+ *
+ * *Factory*: {@link module:Layout.gpsTime|gpsTime}
+ *
+ * The encoded value is a week number since 1980-01-06T00:00:00Z
+ * followed by the seconds into that week.  GPS time does not observe
+ * leap seconds; the configured {@link GPSTime#leapSeconds|leapSeconds}
+ * offset is applied when converting to and from UTC.  Week numbers
+ * are not corrected for rollover.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {Number} [options.leapSeconds] - initializer for {@link
+ * GPSTime#leapSeconds|leapSeconds}.
+ *
+ * @param {Layout} [options.week] - initializer for {@link
+ * GPSTime#week|week}.  Defaults to {@link module:Layout.u16|u16}.
+ *
+ * @param {Layout} [options.seconds] - initializer for {@link
+ * GPSTime#seconds|seconds}.  Defaults to {@link
+ * module:Layout.u32|u32}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Timestamp}
+ */
+class GPSTime extends Timestamp {
+  constructor(options, property) {
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const week = options.week || new UInt(2);
+    const seconds = options.seconds || new UInt(4);
+    for (const lo of [week, seconds]) {
+      if (!(((lo instanceof UInt)
+             || (lo instanceof UIntBE))
+            && (6 >= lo.span))) {
+        throw new TypeError('week and seconds must be UInt or UIntBE layouts');
+      }
+    }
+    const leapSeconds = (undefined === options.leapSeconds) ? 0 : options.leapSeconds;
+    if (!Number.isInteger(leapSeconds)) {
+      throw new TypeError('leapSeconds must be an integer');
+    }
+    super(week.span + seconds.span, new Date(Date.UTC(1980, 0, 6)), 1, property);
+
+    /** The layout for the week number. */
+    this.week = week;
+
+    /** The layout for the seconds into the week. */
+    this.seconds = seconds;
+
+    /** The number of seconds by which GPS time leads UTC.  The
+     * default of zero decodes GPS time without correction. */
+    this.leapSeconds = leapSeconds;
+  }
+
+  /** @override */
+  getAlignment() {
+    return Math.max(this.week.getAlignment(), this.seconds.getAlignment());
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const week = this.week.decode(b, offset);
+    const sec = this.seconds.decode(b, offset + this.week.span);
+    return new Date(this.epoch.getTime() + week * GPS_WEEK_MS
+                    + 1000 * (sec - this.leapSeconds));
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ms = dateMilliseconds(src, 'GPSTime.encode', this)
+          - this.epoch.getTime() + 1000 * this.leapSeconds;
+    if (0 > ms) {
+      throw new RangeError(nameWithProperty('GPSTime.encode', this)
+                           + ' src precedes GPS epoch');
+    }
+    const week = Math.floor(ms / GPS_WEEK_MS);
+    this.week.encode(week, b, offset);
+    this.seconds.encode(Math.floor((ms - week * GPS_WEEK_MS) / 1000),
+                        b, offset + this.week.span);
+    return this.span;
+  }
+}
+
+/**
+ * Represent an MS-DOS (FAT) packed date and time as a Date.
+ *
+ * *Factory*: {@link module:Layout.dosDateTime|dosDateTime}
+ *
+ * The encoded value is a little-endian 32-bit word holding the time
+ * in the low 16 bits and the date in the high 16 bits, with fields
+ * for years since 1980, month, day, hour, minute, and seconds divided
+ * by two.  The fields carry no time zone; they are interpreted as
+ * UTC.  Encoding discards odd seconds and fractions of a second.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Timestamp}
+ */
+class DOSDateTime extends Timestamp {
+  constructor(property) {
+    super(4, new Date(Date.UTC(1980, 0, 1)), 2, property);
+
+    /** The {@link BitStructure} holding the date and time fields. */
+    this.fields = new BitStructure(new UInt(4));
+    this.fields.addField(5, 'second2');
+    this.fields.addField(6, 'minute');
+    this.fields.addField(5, 'hour');
+    this.fields.addField(5, 'day');
+    this.fields.addField(4, 'month');
+    this.fields.addField(7, 'year');
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.fields.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const f = this.fields.decode(b, offset);
+    const rv = new Date(Date.UTC(1980 + f.year, f.month - 1, f.day,
+                                 f.hour, f.minute, 2 * f.second2));
+    if ((rv.getUTCMonth() !== (f.month - 1))
+        || (rv.getUTCDate() !== f.day)
+        || (rv.getUTCHours() !== f.hour)
+        || (rv.getUTCMinutes() !== f.minute)
+        || (rv.getUTCSeconds() !== (2 * f.second2))) {
+      throw new RangeError(nameWithProperty('DOSDateTime.decode', this)
+                           + ' invalid date or time');
+    }
+    return rv;
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    dateMilliseconds(src, 'DOSDateTime.encode', this);
+    const year = src.getUTCFullYear() - 1980;
+    if (!((0 <= year) && (128 > year))) {
+      throw new RangeError(nameWithProperty('DOSDateTime.encode', this)
+                           + ' year must be in [1980, 2107]');
+    }
+    return this.fields.encode({
+      second2: src.getUTCSeconds() >> 1,
+      minute: src.getUTCMinutes(),
+      hour: src.getUTCHours(),
+      day: src.getUTCDate(),
+      month: 1 + src.getUTCMonth(),
+      year,
+    }, b, offset);
+  }
+}
+
+/* Parse a dotted-quad IPv4 address to an Array of four octets, or
+ * return `undefined` if the text is not valid. */
+function parseDottedQuad(text) {
+  const parts = text.split('.');
+  if ((4 !== parts.length)
+      || (!parts.every(p => /^(0|[1-9][0-9]{0,2})$/.test(p)))) {
+    return undefined;
+  }
+  const octets = parts.map(p => parseInt(p));
+  if (!octets.every(v => (255 >= v))) {
+    return undefined;
+  }
+  return octets;
+}
+
+/**
+ * Base class for layouts that represent fixed-length network
+ * addresses as their canonical text form.
+ *
+ * This is an abstract base class; subclasses implement {@link
+ * Address#format|format} and {@link Address#parse|parse}.
+ *
+ * @param {Number} span - initializer for {@link Layout#span|span}.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {Boolean} [options.reversed] - initializer for {@link
+ * Address#reversed|reversed}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @abstract
+ * @augments {Layout}
+ */
+class Address extends Layout {
+  constructor(span, options, property) {
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    super(span, property);
+
+    /** `true` if the address is stored with its bytes in the reverse
+     * of network order, as some Bluetooth stacks do for device
+     * addresses. */
+    this.reversed = !!options.reversed;
+  }
+
+  /** Format an address as text.
+   *
+   * @param {Buffer} octets - the address in network order.
+   *
+   * @return {string}
+   *
+   * @abstract */
+  format(octets) {
+    throw new Error('Address is abstract');
+  }
+
+  /** Parse the text form of an address.
+   *
+   * @param {string} text - the text to parse.
+   *
+   * @return {(Array|undefined)} - the octets of the address in
+   * network order, or `undefined` if `text` is not a valid address.
+   *
+   * @abstract */
+  parse(text) {
+    throw new Error('Address is abstract');
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    if ((offset + this.span) > b.length) {
+      throw new RangeError('decoding overruns Buffer');
+    }
+    const octets = Buffer.from(b.slice(offset, offset + this.span));
+    if (this.reversed) {
+      octets.reverse();
+    }
+    return this.format(octets);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const octets = ('string' === typeof src) ? this.parse(src) : undefined;
+    if (undefined === octets) {
+      throw new TypeError(nameWithProperty(this.constructor.name + '.encode', this)
+                          + ' invalid address ' + src);
+    }
+    if ((offset + this.span) > b.length) {
+      throw new RangeError('encoding overruns Buffer');
+    }
+    if (this.reversed) {
+      octets.reverse();
+    }
+    Buffer.from(octets).copy(b, offset);
+    return this.span;
+  }
+}
+
+/**
+ * Represent an IPv4 address as a dotted quad.
+ *
+ * *Factory*: {@link module:Layout.ipv4|ipv4}
+ *
+ * Encoding accepts only four decimal octets without leading zeros.
+ *
+ * @param {Object} [options] - as with {@link Address}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Address}
+ */
+class IPv4 extends Address {
+  constructor(options, property) {
+    super(4, options, property);
+  }
+
+  /** @override */
+  format(octets) {
+    return Array.from(octets).join('.');
+  }
+
+  /** @override */
+  parse(text) {
+    return parseDottedQuad(text);
+  }
+}
+
+/**
+ * Represent an IPv6 address in the compressed text form of RFC 5952.
+ *
+ * *Factory*: {@link module:Layout.ipv6|ipv6}
+ *
+ * Decoding produces lower-case hexadecimal groups with leading zeros
+ * suppressed and the first longest run of two or more zero groups
+ * replaced by `::`.  IPv4-mapped addresses are formatted with a
+ * trailing dotted quad.  Encoding accepts any valid text form without
+ * a zone identifier.
+ *
+ * @param {Object} [options] - as with {@link Address}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Address}
+ */
+class IPv6 extends Address {
+  constructor(options, property) {
+    super(16, options, property);
+  }
+
+  /** @override */
+  format(octets) {
+    if (octets.slice(0, 10).every(v => (0 === v))
+        && (0xFFFF === octets.readUInt16BE(10))) {
+      return '::ffff:' + Array.from(octets.slice(12)).join('.');
+    }
+    const groups = [];
+    for (let i = 0; 16 > i; i += 2) {
+      groups.push(octets.readUInt16BE(i));
+    }
+    let best = -1;
+    let bestLength = 1;
+    for (let i = 0; i < groups.length; ++i) {
+      let j = i;
+      while ((j < groups.length) && (0 === groups[j])) {
+        ++j;
+      }
+      if ((j - i) > bestLength) {
+        best = i;
+        bestLength = j - i;
+      }
+      i = j;
+    }
+    const hex = groups.map(v => v.toString(16));
+    if (0 > best) {
+      return hex.join(':');
+    }
+    return hex.slice(0, best).join(':') + '::' + hex.slice(best + bestLength).join(':');
+  }
+
+  /** @override */
+  parse(text) {
+    const halves = text.split('::');
+    if (2 < halves.length) {
+      return undefined;
+    }
+    const parts = halves.map(h => (h ? h.split(':') : []));
+    const last = parts[parts.length - 1];
+    const words = parts.map(p => []);
+    for (let h = 0; h < parts.length; ++h) {
+      for (let i = 0; i < parts[h].length; ++i) {
+        const part = parts[h][i];
+        if (/^[0-9a-fA-F]{1,4}$/.test(part)) {
+          words[h].push(parseInt(part, 16));
+        } else if ((parts[h] === last)
+                   && ((i + 1) === last.length)
+                   && parseDottedQuad(part)) {
+          const q = parseDottedQuad(part);
+          words[h].push((q[0] << 8) | q[1], (q[2] << 8) | q[3]);
+        } else {
+          return undefined;
+        }
+      }
+    }
+    let all = words[0];
+    if (2 === words.length) {
+      const fill = 8 - words[0].length - words[1].length;
+      if (0 >= fill) {
+        return undefined;
+      }
+      all = all.concat(new Array(fill).fill(0), words[1]);
+    }
+    if (8 !== all.length) {
+      return undefined;
+    }
+    const rv = [];
+    all.forEach(w => rv.push(w >> 8, w & 0xFF));
+    return rv;
+  }
+}
+
+/**
+ * Represent an IEEE EUI-48 (MAC) or EUI-64 identifier as
+ * colon-separated hexadecimal octets.
+ *
+ * *Factory*: {@link module:Layout.mac|mac}, {@link
+ * module:Layout.eui48|eui48}, {@link module:Layout.eui64|eui64}
+ *
+ * Decoding produces lower-case octets separated by colons.  Encoding
+ * accepts octets of either case separated consistently by colons or
+ * hyphens.
+ *
+ * @param {Number} span - initializer for {@link Layout#span|span}.
+ * The parameter must be 6 or 8.
+ *
+ * @param {Object} [options] - as with {@link Address}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Address}
+ */
+class EUI extends Address {
+  constructor(span, options, property) {
+    if ((6 !== span) && (8 !== span)) {
+      throw new RangeError('span must be 6 or 8');
+    }
+    super(span, options, property);
+  }
+
+  /** @override */
+  format(octets) {
+    return octets.toString('hex').match(/../g).join(':');
+  }
+
+  /** @override */
+  parse(text) {
+    const sep = text[2];
+    if ((':' !== sep) && ('-' !== sep)) {
+      return undefined;
+    }
+    const parts = text.split(sep);
+    if ((this.span !== parts.length)
+        || (!parts.every(p => /^[0-9a-fA-F]{2}$/.test(p)))) {
+      return undefined;
+    }
+    return parts.map(p => parseInt(p, 16));
+  }
+}
+
+/* The byte orders supported for stored UUIDs. */
+const UUID_BYTE_ORDERS = ['rfc4122', 'le', 'guid'];
+
+/* The trailing 96 bits of the Bluetooth base UUID. */
+const BLUETOOTH_BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+/* Convert the sixteen bytes of a UUID between RFC 4122 order and
+ * `byteOrder`, in place.  Each conversion is its own inverse. */
+function reorderUUID(octets, byteOrder) {
+  if ('le' === byteOrder) {
+    octets.reverse();
+  } else if ('guid' === byteOrder) {
+    octets.slice(0, 4).reverse();
+    octets.slice(4, 6).reverse();
+    octets.slice(6, 8).reverse();
+  }
+  return octets;
+}
+
+/* Parse a hyphenated UUID to a Buffer in RFC 4122 order, or return
+ * `undefined` if the text is not valid. */
+function parseUUID(text) {
+  if (!(('string' === typeof text)
+        && /^[0-9a-fA-F]{8}-([0-9a-fA-F]{4}-){3}[0-9a-fA-F]{12}$/.test(text))) {
+    return undefined;
+  }
+  return Buffer.from(text.replace(/-/g, ''), 'hex');
+}
+
+/* Format sixteen bytes in RFC 4122 order as a hyphenated UUID. */
+function formatUUID(octets) {
+  const hex = octets.toString('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16),
+          hex.slice(16, 20), hex.slice(20)].join('-');
+}
+
+/**
+ * Represent a 128-bit UUID as its canonical hyphenated text form.
+ *
+ * *Factory*: {@link module:Layout.uuid|uuid}
+ *
+ * Decoding produces lower-case text.  Encoding accepts hyphenated
+ * text of either case.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {String} [options.byteOrder] - initializer for {@link
+ * UUID#byteOrder|byteOrder}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class UUID extends Layout {
+  constructor(options, property) {
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const byteOrder = options.byteOrder || 'rfc4122';
+    if (0 > UUID_BYTE_ORDERS.indexOf(byteOrder)) {
+      throw new TypeError('byteOrder must be one of ' + UUID_BYTE_ORDERS.join(', '));
+    }
+    super(16, property);
+
+    /** The order of the stored bytes: `rfc4122` (default) for the
+     * big-endian order of the text form, `le` for the fully reversed
+     * order used by Bluetooth, or `guid` for the Microsoft order in
+     * which the first three fields are little-endian. */
+    this.byteOrder = byteOrder;
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    if ((offset + this.span) > b.length) {
+      throw new RangeError('decoding overruns Buffer');
+    }
+    const octets = Buffer.from(b.slice(offset, offset + this.span));
+    return formatUUID(reorderUUID(octets, this.byteOrder));
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const octets = parseUUID(src);
+    if (undefined === octets) {
+      throw new TypeError(nameWithProperty('UUID.encode', this)
+                          + ' invalid UUID ' + src);
+    }
+    if ((offset + this.span) > b.length) {
+      throw new RangeError('encoding overruns Buffer');
+    }
+    reorderUUID(octets, this.byteOrder).copy(b, offset);
+    return this.span;
+  }
+}
+
+/**
+ * Represent a 16-bit or 32-bit Bluetooth short UUID as the full
+ * hyphenated UUID it abbreviates.
+ *
+ * *Factory*: {@link module:Layout.uuid16|uuid16}, {@link
+ * module:Layout.uuid32|uuid32}
+ *
+ * A short UUID replaces the leading 32 bits of the Bluetooth base
+ * UUID `00000000-0000-1000-8000-00805f9b34fb`.  Decoding produces
+ * the expanded lower-case text.  Encoding accepts either the full
+ * text, which must be derived from the base UUID and fit in the span,
+ * or the short value as an integer.
+ *
+ * @param {Number} span - initializer for {@link Layout#span|span}.
+ * The parameter must be 2 or 4.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {Boolean} [options.bigEndian] - store the short value in
+ * big-endian rather than the Bluetooth little-endian order.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class ShortUUID extends Layout {
+  constructor(span, options, property) {
+    if ((2 !== span) && (4 !== span)) {
+      throw new RangeError('span must be 2 or 4');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    super(span, property);
+
+    /** The layout for the short value. */
+    this.layout = options.bigEndian ? new UIntBE(span) : new UInt(span);
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.layout.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const v = this.layout.decode(b, offset);
+    return ('00000000' + v.toString(16)).slice(-8) + BLUETOOTH_BASE_UUID_SUFFIX;
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    let v = src;
+    if ('string' === typeof src) {
+      const octets = parseUUID(src);
+      if (!(octets
+            && (BLUETOOTH_BASE_UUID_SUFFIX === src.slice(8).toLowerCase()))) {
+        throw new TypeError(nameWithProperty('ShortUUID.encode', this)
+                            + ' invalid Bluetooth UUID ' + src);
+      }
+      v = octets.readUInt32BE(0);
+    } else if (!Number.isInteger(src)) {
+      throw new TypeError(nameWithProperty('ShortUUID.encode', this)
+                          + ' src must be a UUID string or integer');
+    }
+    if (!((0 <= v) && (v < Math.pow(2, 8 * this.span)))) {
+      throw new RangeError(nameWithProperty('ShortUUID.encode', this)
+                           + ' value does not fit in ' + (8 * this.span) + ' bits');
+    }
+    return this.layout.encode(v, b, offset);
+  }
+}
+
+/**
+ * Represent a contiguous sequence of a specific layout as an Array.
+ *
+ * *Factory*: {@link module:Layout.seq|seq}
+ *
+ * @param {Layout} elementLayout - initializer for {@link
+ * Sequence#elementLayout|elementLayout}.
+ *
+ * @param {(Number|ExternalLayout)} count - initializer for {@link
+ * Sequence#count|count}.  The parameter must be either a positive
+ * integer or an instance of {@link ExternalLayout}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
  */
 class Sequence extends Layout {
   constructor(elementLayout, count, property) {
     if (!(elementLayout instanceof Layout)) {
       throw new TypeError('elementLayout must be a Layout');
     }
-    if (!(((count instanceof ExternalLayout) && count.isCount())
-          || (Number.isInteger(count) && (0 <= count)))) {
-      throw new TypeError('count must be non-negative integer '
-                          + 'or an unsigned integer ExternalLayout');
+    if (!(((count instanceof ExternalLayout) && count.isCount())
+          || (Number.isInteger(count) && (0 <= count)))) {
+      throw new TypeError('count must be non-negative integer '
+                          + 'or an unsigned integer ExternalLayout');
+    }
+    let span = -1;
+    if ((!(count instanceof ExternalLayout))
+        && (0 < elementLayout.span)) {
+      span = count * elementLayout.span;
+    }
+
+    super(span, property);
+
+    /** The layout for individual elements of the sequence. */
+    this.elementLayout = elementLayout;
+
+    /** The number of elements in the sequence.
+     *
+     * This will be either a non-negative integer or an instance of
+     * {@link ExternalLayout} for which {@link
+     * ExternalLayout#isCount|isCount()} is `true`. */
+    this.count = count;
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.elementLayout.getAlignment();
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
+    if (0 <= this.span) {
+      return this.span;
+    }
+    if (undefined === offset) {
+      offset = 0;
+    }
+    let span = 0;
+    let count = this.count;
+    if (count instanceof ExternalLayout) {
+      count = count.decode(b, offset, context);
+    }
+    if (0 < this.elementLayout.span) {
+      span = count * this.elementLayout.span;
+    } else {
+      const ctx = childContext(context, this, undefined, 'Sequence.getSpan');
+      let idx = 0;
+      while (idx < count) {
+        span += this.elementLayout.getSpan(b, offset + span, ctx);
+        ++idx;
+      }
+    }
+    return span;
+  }
+
+  /** @override */
+  decode(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const rv = [];
+    const ctx = childContext(context, this, rv, 'Sequence.decode');
+    let i = 0;
+    let count = this.count;
+    if (count instanceof ExternalLayout) {
+      count = count.decode(b, offset, context);
+    }
+    while (i < count) {
+      rv.push(this.elementLayout.decode(b, offset, ctx));
+      offset += this.elementLayout.getSpan(b, offset, ctx);
+      i += 1;
+    }
+    return rv;
+  }
+
+  /** Implement {@link Layout#encode|encode} for {@link Sequence}.
+   *
+   * **NOTE** If `src` is shorter than {@link Sequence#count|count} then
+   * the unused space in the buffer is left unchanged.  If `src` is
+   * longer than {@link Sequence#count|count} the unneeded elements are
+   * ignored.
+   *
+   * **NOTE** If {@link Layout#count|count} is an instance of {@link
+   * ExternalLayout} then the length of `src` will be encoded as the
+   * count after `src` is encoded. */
+  encode(src, b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ctx = childContext(context, this, src, 'Sequence.encode');
+    const elo = this.elementLayout;
+    const span = src.reduce((span, v) => {
+      return span + elo.encode(v, b, offset + span, ctx);
+    }, 0);
+    if (this.count instanceof ExternalLayout) {
+      this.count.encode(src.length, b, offset, context);
+    }
+    return span;
+  }
+}
+
+/**
+ * Represent a sequence of elements ended by a sentinel element as an
+ * Array.
+ *
+ * *Factory*: {@link module:Layout.terminatedSeq|terminatedSeq}
+ *
+ * Decoding reads elements until one is recognized by {@link
+ * TerminatedSequence#terminator|terminator}; that element is consumed
+ * but is not included in the result.  Encoding writes the elements of
+ * the source Array followed by {@link
+ * TerminatedSequence#sentinel|sentinel}.
+ *
+ * @param {Layout} elementLayout - initializer for {@link
+ * TerminatedSequence#elementLayout|elementLayout}.  The layout must
+ * not have a zero span.
+ *
+ * @param {(*|function)} terminator - initializer for {@link
+ * TerminatedSequence#terminator|terminator}.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {*} [options.sentinel] - initializer for {@link
+ * TerminatedSequence#sentinel|sentinel}.  Required if `terminator`
+ * is a function.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class TerminatedSequence extends Layout {
+  constructor(elementLayout, terminator, options, property) {
+    if (!(elementLayout instanceof Layout)) {
+      throw new TypeError('elementLayout must be a Layout');
+    }
+    if (0 === elementLayout.span) {
+      throw new TypeError('elementLayout must not have zero span');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    let sentinel = terminator;
+    if ('function' === typeof terminator) {
+      if (!options.hasOwnProperty('sentinel')) {
+        throw new TypeError('terminator function requires a sentinel');
+      }
+      sentinel = options.sentinel;
+    }
+    super(-1, property);
+
+    /** The layout for individual elements of the sequence. */
+    this.elementLayout = elementLayout;
+
+    /** The recognizer for the element that ends the sequence.
+     *
+     * This is either a function that is invoked with a decoded
+     * element and returns a truthy value if the element ends the
+     * sequence, or a value that ends the sequence when a decoded
+     * element is strictly equal (`===`) to it. */
+    this.terminator = terminator;
+
+    /** The element that is encoded to end the sequence. */
+    this.sentinel = sentinel;
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.elementLayout.getAlignment();
+  }
+
+  /** Determine whether a decoded element ends the sequence.
+   *
+   * @param {*} value - a value produced by {@link
+   * TerminatedSequence#elementLayout|elementLayout}.
+   *
+   * @return {Boolean} */
+  isTerminator(value) {
+    if ('function' === typeof this.terminator) {
+      return !!this.terminator(value);
+    }
+    return value === this.terminator;
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ctx = childContext(context, this, undefined, 'TerminatedSequence.getSpan');
+    let span = 0;
+    for (;;) {
+      if ((offset + span) >= b.length) {
+        throw new RangeError(nameWithProperty('TerminatedSequence.getSpan', this)
+                             + ' missing terminator');
+      }
+      const v = this.elementLayout.decode(b, offset + span, ctx);
+      span += this.elementLayout.getSpan(b, offset + span, ctx);
+      if (this.isTerminator(v)) {
+        return span;
+      }
+    }
+  }
+
+  /** @override */
+  decode(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const rv = [];
+    const ctx = childContext(context, this, rv, 'TerminatedSequence.decode');
+    for (;;) {
+      if (offset >= b.length) {
+        throw new RangeError(nameWithProperty('TerminatedSequence.decode', this)
+                             + ' missing terminator');
+      }
+      const v = this.elementLayout.decode(b, offset, ctx);
+      offset += this.elementLayout.getSpan(b, offset, ctx);
+      if (this.isTerminator(v)) {
+        return rv;
+      }
+      rv.push(v);
+    }
+  }
+
+  /** Implement {@link Layout#encode|encode} for {@link
+   * TerminatedSequence}.
+   *
+   * @throws {RangeError} - if an element of `src` would be recognized
+   * as the terminator, since the value could not be decoded. */
+  encode(src, b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ctx = childContext(context, this, src, 'TerminatedSequence.encode');
+    const elo = this.elementLayout;
+    let span = 0;
+    for (const v of src) {
+      if (this.isTerminator(v)) {
+        throw new RangeError(nameWithProperty('TerminatedSequence.encode', this)
+                             + ' element matches terminator');
+      }
+      span += elo.encode(v, b, offset + span, ctx);
+    }
+    return span + elo.encode(this.sentinel, b, offset + span, ctx);
+  }
+}
+
+/**
+ * Represent a sequence of elements occupying a given number of bytes
+ * as an Array.
+ *
+ * *Factory*: {@link module:Layout.boundedSeq|boundedSeq}
+ *
+ * Decoding reads elements until exactly {@link
+ * BoundedSequence#length|length} bytes have been consumed.  This
+ * supports lists of variable-length elements that are preceded by
+ * their total size rather than their count.
+ *
+ * @param {Layout} elementLayout - initializer for {@link
+ * BoundedSequence#elementLayout|elementLayout}.  The layout must not
+ * have a zero span.
+ *
+ * @param {(Number|ExternalLayout|Layout)} length - initializer for
+ * {@link BoundedSequence#length|length}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class BoundedSequence extends Layout {
+  constructor(elementLayout, length, property) {
+    if (!(elementLayout instanceof Layout)) {
+      throw new TypeError('elementLayout must be a Layout');
+    }
+    if (0 === elementLayout.span) {
+      throw new TypeError('elementLayout must not have zero span');
+    }
+    if (!((Number.isInteger(length) && (0 <= length))
+          || ((length instanceof ExternalLayout) && length.isCount())
+          || (((length instanceof UInt)
+               || (length instanceof UIntBE))
+              && (6 >= length.span)))) {
+      throw new TypeError('length must be a non-negative integer, '
+                          + 'an unsigned integer ExternalLayout, '
+                          + 'or an unsigned integer prefix layout');
+    }
+    super(Number.isInteger(length) ? length : -1, property);
+
+    /** The layout for individual elements of the sequence. */
+    this.elementLayout = elementLayout;
+
+    /** The number of bytes occupied by the elements.
+     *
+     * This may be a non-negative integer; an instance of {@link
+     * ExternalLayout} that satisfies {@link
+     * ExternalLayout#isCount|isCount()}, in which case the length is
+     * held outside this layout; or a {@link UInt} or {@link UIntBE}
+     * prefix that is encoded immediately before the elements. */
+    this.length = length;
+  }
+
+  /** @override */
+  getAlignment() {
+    let rv = this.elementLayout.getAlignment();
+    if ((this.length instanceof Layout)
+        && !(this.length instanceof ExternalLayout)) {
+      rv = Math.max(rv, this.length.getAlignment());
+    }
+    return rv;
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
+    if (0 <= this.span) {
+      return this.span;
+    }
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return prefixSpan(this, b, offset) + this.length.decode(b, offset, context);
+  }
+
+  /** @override */
+  decode(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    let length = this.length;
+    if (!Number.isInteger(length)) {
+      length = length.decode(b, offset, context);
+      offset += prefixSpan(this, b, offset);
+    }
+    const end = offset + length;
+    if (end > b.length) {
+      throw new RangeError('decoding overruns Buffer');
+    }
+    const rv = [];
+    const ctx = childContext(context, this, rv, 'BoundedSequence.decode');
+    while (offset < end) {
+      const span = this.elementLayout.getSpan(b, offset, ctx);
+      if ((offset + span) > end) {
+        throw new RangeError(nameWithProperty('BoundedSequence.decode', this)
+                             + ' element straddles boundary at ' + end);
+      }
+      rv.push(this.elementLayout.decode(b, offset, ctx));
+      offset += span;
+    }
+    return rv;
+  }
+
+  /** Implement {@link Layout#encode|encode} for {@link
+   * BoundedSequence}.
+   *
+   * **NOTE** If {@link BoundedSequence#length|length} is a layout the
+   * number of bytes occupied by the elements will be encoded as the
+   * length after the elements are encoded.
+   *
+   * @throws {RangeError} - if {@link BoundedSequence#length|length}
+   * is a number and the elements do not occupy exactly that many
+   * bytes. */
+  encode(src, b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const start = offset + (Number.isInteger(this.length) ? 0 : prefixSpan(this, b, offset));
+    const ctx = childContext(context, this, src, 'BoundedSequence.encode');
+    const elo = this.elementLayout;
+    const length = src.reduce((span, v) => {
+      return span + elo.encode(v, b, start + span, ctx);
+    }, 0);
+    if (Number.isInteger(this.length)) {
+      if (length !== this.length) {
+        throw new RangeError(nameWithProperty('BoundedSequence.encode', this)
+                             + ' elements occupy ' + length + ' bytes not '
+                             + this.length);
+      }
+    } else {
+      this.length.encode(length, b, offset, context);
+    }
+    return start + length - offset;
+  }
+}
+
+/* The number of zero bytes appended to the data when checking whether
+ * an element of a GreedySequence that cannot be measured is merely
+ * cut short by the end of the data. */
+const GREEDY_PROBE_PAD = 256;
+
+/* Measure the element of a GreedySequence at `offset`.  If that
+ * fails with a `RangeError` the element is measured again with zero
+ * bytes following the data: if that succeeds the element is partial
+ * and its span, which extends past the data, is returned.  Otherwise
+ * the original error is thrown, since the element is invalid. */
+function greedyElementSpan(gs, b, offset, ctx) {
+  try {
+    return gs.elementLayout.getSpan(b, offset, ctx);
+  } catch (e) {
+    if (!(e instanceof RangeError)) {
+      throw e;
+    }
+    const probe = Buffer.concat([b, Buffer.alloc(GREEDY_PROBE_PAD)]);
+    let span;
+    try {
+      span = gs.elementLayout.getSpan(probe, offset, ctx);
+    } catch (pe) {
+      throw e;
+    }
+    if ((offset + span) <= b.length) {
+      throw e;
+    }
+    return span;
+  }
+}
+
+/* Determine the spans of the complete elements of a GreedySequence
+ * that start at `offset`.  If the data ends with a partial element a
+ * `RangeError` is thrown unless `tolerate` is true.  Errors measuring
+ * an element that is not cut short by the end of the data are
+ * propagated.  Element spans are measured within context `ctx`. */
+function greedyElementSpans(gs, b, offset, tolerate, name, ctx) {
+  const rv = [];
+  while (offset < b.length) {
+    const span = greedyElementSpan(gs, b, offset, ctx);
+    if ((offset + span) > b.length) {
+      if (!tolerate) {
+        throw new RangeError(nameWithProperty(name, gs)
+                             + ' trailing partial element at ' + offset);
+      }
+      break;
+    }
+    if (0 >= span) {
+      throw new RangeError(nameWithProperty(name, gs) + ' element has no span');
+    }
+    rv.push(span);
+    offset += span;
+  }
+  return rv;
+}
+
+/**
+ * Represent a sequence of elements extending to the end of the buffer
+ * as an Array.
+ *
+ * *Factory*: {@link module:Layout.greedySeq|greedySeq}
+ *
+ * Decoding reads elements while bytes remain.  Unlike {@link
+ * GreedyCount} this supports elements with variable span, such as
+ * {@link CString} or type-length-value records.
+ *
+ * **NOTE** Because the length is implicit in the size of the buffer
+ * this layout should be used only at the end of the containing
+ * buffer, or on a slice of it.
+ *
+ * @param {Layout} elementLayout - initializer for {@link
+ * GreedySequence#elementLayout|elementLayout}.  The layout must not
+ * have a zero span.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {String} [options.partial] - initializer for {@link
+ * GreedySequence#partial|partial}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class GreedySequence extends Layout {
+  constructor(elementLayout, options, property) {
+    if (!(elementLayout instanceof Layout)) {
+      throw new TypeError('elementLayout must be a Layout');
+    }
+    if (0 === elementLayout.span) {
+      throw new TypeError('elementLayout must not have zero span');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const partial = options.partial || 'reject';
+    if (('reject' !== partial)
+        && ('tolerate' !== partial)) {
+      throw new TypeError('partial must be reject or tolerate');
+    }
+    super(-1, property);
+
+    /** The layout for individual elements of the sequence. */
+    this.elementLayout = elementLayout;
+
+    /** The treatment of trailing bytes that do not hold a complete
+     * element: `reject` (default) to throw a `RangeError`, or
+     * `tolerate` to leave them unconsumed.  Use {@link
+     * GreedySequence#remainder|remainder()} to find how many bytes
+     * were left. */
+    this.partial = partial;
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.elementLayout.getAlignment();
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ctx = childContext(context, this, undefined, 'GreedySequence.getSpan');
+    return greedyElementSpans(this, b, offset, ('tolerate' === this.partial),
+                              'GreedySequence.getSpan', ctx)
+      .reduce((acc, v) => acc + v, 0);
+  }
+
+  /** Determine the number of trailing bytes that do not hold a
+   * complete element.
+   *
+   * @param {Buffer} b - the buffer that contains the encoded
+   * sequence.
+   *
+   * @param {Number} [offset] - the offset of the start of the
+   * sequence within `b`.
+   *
+   * @param {Context} [context] - as with {@link Layout#decode|decode}.
+   *
+   * @return {Number} - the number of bytes after the last complete
+   * element. */
+  remainder(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ctx = childContext(context, this, undefined, 'GreedySequence.remainder');
+    const span = greedyElementSpans(this, b, offset, true, 'GreedySequence.remainder', ctx)
+          .reduce((acc, v) => acc + v, 0);
+    return b.length - offset - span;
+  }
+
+  /** @override */
+  decode(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const rv = [];
+    const ctx = childContext(context, this, rv, 'GreedySequence.decode');
+    const spans = greedyElementSpans(this, b, offset, ('tolerate' === this.partial),
+                                     'GreedySequence.decode', ctx);
+    for (const span of spans) {
+      rv.push(this.elementLayout.decode(b, offset, ctx));
+      offset += span;
+    }
+    return rv;
+  }
+
+  /** @override */
+  encode(src, b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const ctx = childContext(context, this, src, 'GreedySequence.encode');
+    const elo = this.elementLayout;
+    return src.reduce((span, v) => {
+      return span + elo.encode(v, b, offset + span, ctx);
+    }, 0);
+  }
+}
+
+/**
+ * Represent a field that is present only when a predicate holds.
+ *
+ * *Factory*: {@link module:Layout.optional|optional}
+ *
+ * The predicate is invoked with the {@link Context#value|value} of
+ * the {@link Context} passed by the enclosing aggregate, which for a
+ * {@link Structure} is the object holding the sibling fields
+ * decoded (or encoded) so far, and with the context itself, giving
+ * access to enclosing layouts and user-supplied {@link
+ * Context#params|params}.  A predicate can therefore consult only
+ * fields that precede it.
+ *
+ * When the field is {@link Optional#isAbsent|absent} it occupies no
+ * space and is not aligned.  Decoding leaves the property undefined,
+ * and encoding requires that the property be undefined.
+ *
+ * @param {Layout} layout - initializer for {@link
+ * Optional#layout|layout}.
+ *
+ * @param {Function} predicate - initializer for {@link
+ * Optional#predicate|predicate}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.  Defaults to the property of `layout`.
+ *
+ * @augments {Layout}
+ */
+class Optional extends Layout {
+  constructor(layout, predicate, property) {
+    if (!(layout instanceof Layout)) {
+      throw new TypeError('layout must be a Layout');
     }
-    let span = -1;
-    if ((!(count instanceof ExternalLayout))
-        && (0 < elementLayout.span)) {
-      span = count * elementLayout.span;
+    if ('function' !== typeof predicate) {
+      throw new TypeError('predicate must be a function');
     }
+    super(-1, property || layout.property);
 
-    super(span, property);
+    /** The layout used when the field is present. */
+    this.layout = layout;
 
-    /** The layout for individual elements of the sequence. */
-    this.elementLayout = elementLayout;
+    /** A function `(siblings, context)` that returns a truthy value
+     * iff the field is present. */
+    this.predicate = predicate;
+  }
 
-    /** The number of elements in the sequence.
-     *
-     * This will be either a non-negative integer or an instance of
-     * {@link ExternalLayout} for which {@link
-     * ExternalLayout#isCount|isCount()} is `true`. */
-    this.count = count;
+  /**
+   * Determine whether the field is present.
+   *
+   * @param {Context} [context] - the context passed by the enclosing
+   * aggregate.
+   *
+   * @return {Boolean} - the result of {@link
+   * Optional#predicate|predicate}.
+   */
+  isPresent(context) {
+    const siblings = context ? context.value : undefined;
+    return !!this.predicate(siblings, context);
   }
 
   /** @override */
-  getSpan(b, offset) {
-    if (0 <= this.span) {
-      return this.span;
+  isAbsent(context) {
+    return !this.isPresent(context);
+  }
+
+  /** @override */
+  getAlignment() {
+    return this.layout.getAlignment();
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
+    if (!Buffer.isBuffer(b)) {
+      throw new TypeError('b must be a Buffer');
     }
     if (undefined === offset) {
       offset = 0;
     }
-    let span = 0;
-    let count = this.count;
-    if (count instanceof ExternalLayout) {
-      count = count.decode(b, offset);
-    }
-    if (0 < this.elementLayout.span) {
-      span = count * this.elementLayout.span;
-    } else {
-      let idx = 0;
-      while (idx < count) {
-        span += this.elementLayout.getSpan(b, offset + span);
-        ++idx;
-      }
+    if (!this.isPresent(context)) {
+      return 0;
     }
-    return span;
+    return this.layout.getSpan(b, offset, context);
   }
 
   /** @override */
-  decode(b, offset) {
+  decode(b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
-    const rv = [];
-    let i = 0;
-    let count = this.count;
-    if (count instanceof ExternalLayout) {
-      count = count.decode(b, offset);
-    }
-    while (i < count) {
-      rv.push(this.elementLayout.decode(b, offset));
-      offset += this.elementLayout.getSpan(b, offset);
-      i += 1;
+    if (this.isPresent(context)) {
+      return this.layout.decode(b, offset, context);
     }
-    return rv;
   }
 
-  /** Implement {@link Layout#encode|encode} for {@link Sequence}.
-   *
-   * **NOTE** If `src` is shorter than {@link Sequence#count|count} then
-   * the unused space in the buffer is left unchanged.  If `src` is
-   * longer than {@link Sequence#count|count} the unneeded elements are
-   * ignored.
-   *
-   * **NOTE** If {@link Layout#count|count} is an instance of {@link
-   * ExternalLayout} then the length of `src` will be encoded as the
-   * count after `src` is encoded. */
-  encode(src, b, offset) {
+  /** @override */
+  encode(src, b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
-    const elo = this.elementLayout;
-    const span = src.reduce((span, v) => {
-      return span + elo.encode(v, b, offset + span);
-    }, 0);
-    if (this.count instanceof ExternalLayout) {
-      this.count.encode(src.length, b, offset);
+    const present = this.isPresent(context);
+    if (present !== (undefined !== src)) {
+      throw new Error(nameWithProperty('Optional.encode', this)
+                      + (present ? ' value required when present'
+                         : ' value provided when absent'));
     }
-    return span;
+    if (!present) {
+      return 0;
+    }
+    return this.layout.encode(src, b, offset, context);
+  }
+}
+
+/**
+ * Represent a field whose value is derived from the rest of the
+ * encoding of the containing {@link Structure}.
+ *
+ * *Factory*: {@link module:Layout.computed|computed}
+ *
+ * When a structure is {@link Structure#encode|encoded} the space for
+ * the field is reserved, and after all other fields have been written
+ * {@link Computed#compute|compute} is invoked to obtain the value,
+ * which is then encoded with {@link Computed#layout|layout}.  Use
+ * this for header fields such as total lengths, payload sizes, and
+ * element counts.
+ *
+ * Decoding, and encoding outside a structure, behave as {@link
+ * Computed#layout|layout}.
+ *
+ * @param {Layout} layout - initializer for {@link
+ * Computed#layout|layout}.  This must have a constant span.
+ *
+ * @param {Function} compute - initializer for {@link
+ * Computed#compute|compute}.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.  Defaults to the property of `layout`.
+ *
+ * @augments {Layout}
+ */
+class Computed extends Layout {
+  constructor(layout, compute, property) {
+    if (!(layout instanceof Layout)) {
+      throw new TypeError('layout must be a Layout');
+    }
+    if (0 > layout.span) {
+      throw new TypeError('layout must have constant span');
+    }
+    if ('function' !== typeof compute) {
+      throw new TypeError('compute must be a function');
+    }
+    super(layout.span, property || layout.property);
+
+    /** The layout used to encode and decode the value. */
+    this.layout = layout;
+
+    /** A function that returns the value of the field given an object
+     * describing the encoded structure, with properties:
+     * * `src` - the source object passed to {@link
+     *   Structure#encode|encode};
+     * * `span` - the number of bytes encoded for the structure;
+     * * `spanOf(property)` - the number of bytes occupied by the
+     *   named field;
+     * * `offsetOf(property)` - the offset of the named field from the
+     *   start of the structure.
+     *
+     * The functions return undefined if the structure has no field
+     * with the given property, or if the field was {@link
+     * Layout#isAbsent|absent}.  `spanOf` also returns undefined for a
+     * variable-length field that was not written because `src` lacks
+     * its value. */
+    this.compute = compute;
   }
+
+  /** @override */
+  getAlignment() {
+    return this.layout.getAlignment();
+  }
+
+  /** @override */
+  decode(b, offset, context) {
+    return this.layout.decode(b, offset, context);
+  }
+
+  /** @override */
+  encode(src, b, offset, context) {
+    return this.layout.encode(src, b, offset, context);
+  }
+}
+
+/* Round `offset` up to a multiple of `alignment`. */
+function alignUp(offset, alignment) {
+  return alignment * Math.ceil(offset / alignment);
+}
+
+/* The alignment applied to a field of a structure that uses alignment
+ * mode `align`.  Packed structures apply no alignment; a numeric mode
+ * caps the natural alignment of the field as `#pragma pack` does. */
+function fieldAlignment(align, fd) {
+  if (!align) {
+    return 1;
+  }
+  const rv = fd.getAlignment();
+  return (true === align) ? rv : Math.min(rv, align);
+}
+
+/* The alignment of a structure, which is that of its most strictly
+ * aligned field. */
+function structureAlignment(align, fields) {
+  return fields.reduce((rv, fd) => Math.max(rv, fieldAlignment(align, fd)), 1);
+}
+
+/* Add the field at location `entry` to `view`, the fields Structure
+ * `st` has encoded so far, given its value `fv` in the source.  A
+ * field the source does not provide shows the value a SiblingLayout
+ * filled in, if any.  A Computed field shows that or the source
+ * value, and records what it showed in `entry.shown` so that it can
+ * be checked against the computed value. */
+function exposeField(st, view, entry, fv) {
+  const fd = entry.layout;
+  const desc = {enumerable: true, configurable: true};
+  if ((undefined !== fv)
+      && !(fd instanceof Computed)) {
+    desc.value = fv;
+    desc.writable = true;
+  } else {
+    desc.get = () => {
+      let v = entry.value;
+      if (fd instanceof Computed) {
+        if (undefined === v) {
+          v = fv;
+        }
+        if (undefined === v) {
+          throw new Error(nameWithProperty('Structure.encode', st)
+                          + ' computed field ' + fd.property
+                          + ' has no value until the structure is encoded');
+        }
+        entry.shown = v;
+      }
+      return v;
+    };
+  }
+  Object.defineProperty(view, fd.property, desc);
 }
 
 /**
@@ -1135,6 +5015,20 @@ class Sequence extends Layout {
  * variable-length fields, it cannot contain an unnamed
  * variable-length field.
  *
+ * By default fields are packed back to back, as with a C structure
+ * marked `__attribute__((__packed__))`.  When {@link
+ * Structure#align|align} is selected each field is placed at the next
+ * multiple of its {@link Layout#getAlignment|natural alignment}, and
+ * the structure is padded at the end to a multiple of its own
+ * alignment, reproducing the layout a C compiler would use.  The
+ * content of padding bytes is neither examined nor modified.
+ *
+ * **NOTE** The alignment mode applies to the structure as a whole;
+ * there is no per-field override.  Fields with an `alignas` or
+ * `__attribute__((aligned))` requirement must be preceded by explicit
+ * padding, and a nested structure takes its own alignment mode from
+ * its own constructor.
+ *
  * @param {Layout[]} fields - initializer for {@link
  * Structure#fields|fields}.  An error is raised if this contains a
  * variable-length field for which a {@link Layout#property|property}
@@ -1143,8 +5037,11 @@ class Sequence extends Layout {
  * @param {string} [property] - initializer for {@link
  * Layout#property|property}.
  *
- * @param {Boolean} [decodePrefixes] - initializer for {@link
- * Structure#decodePrefixes|property}.
+ * @param {(Boolean|Object)} [options] - either the initializer for
+ * {@link Structure#decodePrefixes|decodePrefixes}, or an object
+ * with optional `decodePrefixes` and `align` properties providing
+ * initializers for {@link Structure#decodePrefixes|decodePrefixes}
+ * and {@link Structure#align|align}.
  *
  * @throws {Error} - if `fields` contains an unnamed variable-length
  * layout.
@@ -1152,16 +5049,28 @@ class Sequence extends Layout {
  * @augments {Layout}
  */
 class Structure extends Layout {
-  constructor(fields, property, decodePrefixes) {
+  constructor(fields, property, options) {
     if (!(Array.isArray(fields)
           && fields.reduce((acc, v) => acc && (v instanceof Layout), true))) {
       throw new TypeError('fields must be array of Layout instances');
     }
-    if (('boolean' === typeof property)
-        && (undefined === decodePrefixes)) {
-      decodePrefixes = property;
+    if ((('boolean' === typeof property)
+         || (property instanceof Object))
+        && (undefined === options)) {
+      options = property;
       property = undefined;
     }
+    if ('boolean' === typeof options) {
+      options = {decodePrefixes: options};
+    }
+    options = options || {};
+    const align = (undefined === options.align) ? false : options.align;
+    if (!(('boolean' === typeof align)
+          || (Number.isInteger(align)
+              && (0 < align)
+              && (0 === (align & (align - 1)))))) {
+      throw new TypeError('align must be a boolean or a power of two');
+    }
 
     /* Verify absence of unnamed variable-length fields. */
     for (const fd of fields) {
@@ -1173,7 +5082,8 @@ class Structure extends Layout {
 
     let span = -1;
     try {
-      span = fields.reduce((span, fd) => span + fd.getSpan(), 0);
+      span = fields.reduce((span, fd) => alignUp(span, fieldAlignment(align, fd)) + fd.getSpan(), 0);
+      span = alignUp(span, structureAlignment(align, fields));
     } catch (e) {
     }
     super(span, property);
@@ -1199,41 +5109,81 @@ class Structure extends Layout {
      * decoding will accept those buffers and leave subsequent fields
      * undefined, as long as the buffer ends at a field boundary.
      * Defaults to `false`. */
-    this.decodePrefixes = !!decodePrefixes;
+    this.decodePrefixes = !!options.decodePrefixes;
+
+    /** Control the placement of fields within the structure.
+     *
+     * If `false` fields are packed without padding.  If `true` each
+     * field is aligned to its {@link Layout#getAlignment|natural
+     * alignment}.  If a number, the alignment of each field is capped
+     * at that value, as with `#pragma pack(n)`.  Defaults to
+     * `false`. */
+    this.align = align;
   }
 
   /** @override */
-  getSpan(b, offset) {
+  getAlignment() {
+    return structureAlignment(this.align, this.fields);
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
     if (0 <= this.span) {
       return this.span;
     }
     if (undefined === offset) {
       offset = 0;
     }
-    let span = 0;
+    const firstOffset = offset;
+    /* Field values are decoded only if something consults them
+     * through the context. */
+    const value = {};
+    const ctx = childContext(context, this, value, 'Structure.getSpan');
     try {
-      span = this.fields.reduce((span, fd) => {
-        const fsp = fd.getSpan(b, offset);
-        offset += fsp;
-        return span + fsp;
-      }, 0);
+      for (const fd of this.fields) {
+        if (fd.isAbsent(ctx)) {
+          continue;
+        }
+        offset = firstOffset + alignUp(offset - firstOffset, fieldAlignment(this.align, fd));
+        if (undefined !== fd.property) {
+          const fo = offset;
+          ctx.locations[fd.property] = {layout: fd, offset};
+          Object.defineProperty(value, fd.property, {
+            get: () => fd.decode(b, fo, ctx),
+            enumerable: true,
+            configurable: true,
+          });
+        }
+        offset += fd.getSpan(b, offset, ctx);
+      }
     } catch (e) {
       throw new RangeError('indeterminate span');
     }
-    return span;
+    return alignUp(offset - firstOffset, this.getAlignment());
   }
 
   /** @override */
-  decode(b, offset) {
+  decode(b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
+    const firstOffset = offset;
     const dest = this.makeDestinationObject();
+    const ctx = childContext(context, this, dest, 'Structure.decode');
     for (const fd of this.fields) {
+      if (fd.isAbsent(ctx)) {
+        continue;
+      }
+      offset = firstOffset + alignUp(offset - firstOffset, fieldAlignment(this.align, fd));
+      let fv;
+      if (undefined !== fd.property) {
+        ctx.locations[fd.property] = {layout: fd, offset};
+        fv = fd.decode(b, offset, ctx);
+      }
+      offset += fd.getSpan(b, offset, ctx);
       if (undefined !== fd.property) {
-        dest[fd.property] = fd.decode(b, offset);
+        dest[fd.property] = fv;
       }
-      offset += fd.getSpan(b, offset);
       if (this.decodePrefixes
           && (b.length === offset)) {
         break;
@@ -1244,38 +5194,108 @@ class Structure extends Layout {
 
   /** Implement {@link Layout#encode|encode} for {@link Structure}.
    *
-   * If `src` is missing a property for a member with a defined {@link
-   * Layout#property|property} the corresponding region of the buffer is
-   * left unmodified. */
-  encode(src, b, offset) {
+   * If `src` is missing a property for a fixed-span member with a
+   * defined {@link Layout#property|property} the corresponding region
+   * of the buffer is left unmodified, as is the region of a missing
+   * variable-length member that is the last member.  A missing
+   * variable-length member that other members follow is an error,
+   * since its span is required to locate them.
+   *
+   * Members that are {@link Layout#isAbsent|absent} occupy no space
+   * and must not have a value in `src`.
+   *
+   * Members that are {@link Computed} are written after all other
+   * members, using the value produced by {@link
+   * Computed#compute|compute} rather than any value in `src`.
+   *
+   * The {@link Context#value|value} of the context passed to members
+   * holds the members encoded so far, as when decoding.  A member
+   * filled in by a {@link SiblingLayout} has the value written there.
+   * A {@link Computed} member has the value in `src` until it is
+   * computed; consulting it is an error if `src` lacks it or it
+   * differs from the computed value.
+   *
+   * @throws {Error} - if `src` is missing a property for a
+   * variable-length member that is not the last member, has a value
+   * for an absent member, or a {@link Computed} member was consulted
+   * as described above. */
+  encode(src, b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
     const firstOffset = offset;
+    /* Expose only the fields encoded so far, as decode does. */
+    const encoded = {};
+    const ctx = childContext(context, this, encoded, 'Structure.encode');
     let lastOffset = 0;
     let lastWrote = 0;
+    const computed = [];
+    const locations = ctx.locations;
     for (const fd of this.fields) {
+      const fv = (undefined === fd.property) ? undefined : src[fd.property];
+      if (fd.isAbsent(ctx)) {
+        if (undefined !== fv) {
+          throw new Error(nameWithProperty('Structure.encode', this)
+                          + ' value provided for absent field ' + fd.property);
+        }
+        continue;
+      }
+      offset = firstOffset + alignUp(offset - firstOffset, fieldAlignment(this.align, fd));
       let span = fd.span;
       lastWrote = (0 < span) ? span : 0;
+      const entry = {layout: fd, offset};
       if (undefined !== fd.property) {
-        const fv = src[fd.property];
-        if (undefined !== fv) {
-          lastWrote = fd.encode(fv, b, offset);
-          if (0 > span) {
-            /* Read the as-encoded span, which is not necessarily the
-             * same as what we wrote. */
-            span = fd.getSpan(b, offset);
-          }
+        locations[fd.property] = entry;
+      }
+      if (fd instanceof Computed) {
+        /* Reserve the space; the value is patched in below. */
+        computed.push(entry);
+      } else if (undefined !== fv) {
+        lastWrote = fd.encode(fv, b, offset, ctx);
+        if (0 > span) {
+          /* Read the as-encoded span, which is not necessarily the
+           * same as what we wrote. */
+          span = fd.getSpan(b, offset, ctx);
         }
+      } else if ((0 > span)
+                 && (fd !== this.fields[this.fields.length - 1])) {
+        throw new Error(nameWithProperty('Structure.encode', this)
+                        + ' value required for variable-length field '
+                        + fd.property);
       }
+      if (undefined !== fd.property) {
+        exposeField(this, encoded, entry, fv);
+      }
+      entry.span = span;
       lastOffset = offset;
       offset += span;
     }
     /* Use (lastOffset + lastWrote) instead of offset because the last
      * item may have had a dynamic length and we don't want to include
      * the padding between it and the end of the space reserved for
-     * it. */
-    return (lastOffset + lastWrote) - firstOffset;
+     * it.  Trailing alignment padding is included. */
+    const span = alignUp((lastOffset + lastWrote) - firstOffset, this.getAlignment());
+    if (computed.length) {
+      const info = {
+        src,
+        span,
+        spanOf: property => (((property in locations) && (0 <= locations[property].span))
+                             ? locations[property].span : undefined),
+        offsetOf: property => ((property in locations) ? locations[property].offset - firstOffset : undefined),
+      };
+      for (const entry of computed) {
+        const v = entry.layout.compute(info);
+        if (('shown' in entry)
+            && (v !== entry.shown)) {
+          throw new Error(nameWithProperty('Structure.encode', this)
+                          + ' computed field ' + entry.layout.property
+                          + ' is ' + v + ' but was ' + entry.shown
+                          + ' when fields were encoded');
+        }
+        entry.layout.encode(v, b, entry.offset, ctx);
+      }
+    }
+    return span;
   }
 
   /** @override */
@@ -1326,6 +5346,9 @@ class Structure extends Layout {
     }
     let offset = 0;
     for (const fd of this.fields) {
+      if (0 <= offset) {
+        offset = alignUp(offset, fieldAlignment(this.align, fd));
+      }
       if (fd.property === property) {
         return offset;
       }
@@ -1410,13 +5433,13 @@ class UnionLayoutDiscriminator extends UnionDiscriminator {
   }
 
   /** Delegate decoding to {@link UnionLayoutDiscriminator#layout|layout}. */
-  decode(b, offset) {
-    return this.layout.decode(b, offset);
+  decode(b, offset, context) {
+    return this.layout.decode(b, offset, context);
   }
 
   /** Delegate encoding to {@link UnionLayoutDiscriminator#layout|layout}. */
-  encode(src, b, offset) {
-    return this.layout.encode(src, b, offset);
+  encode(src, b, offset, context) {
+    return this.layout.encode(src, b, offset, context);
   }
 }
 
@@ -1598,7 +5621,25 @@ class Union extends Layout {
   }
 
   /** @override */
-  getSpan(b, offset) {
+  getAlignment() {
+    let rv = 1;
+    if (this.usesPrefixDiscriminator) {
+      rv = this.discriminator.layout.layout.getAlignment();
+    }
+    if (this.defaultLayout) {
+      rv = Math.max(rv, this.defaultLayout.getAlignment());
+    }
+    for (const key of Object.keys(this.registry)) {
+      const vlo = this.registry[key];
+      if (vlo.layout) {
+        rv = Math.max(rv, vlo.layout.getAlignment());
+      }
+    }
+    return rv;
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
     if (0 <= this.span) {
       return this.span;
     }
@@ -1608,11 +5649,11 @@ class Union extends Layout {
     /* Default layouts always have non-negative span, so we don't have
      * one and we have to recognize the variant which will in turn
      * determine the span. */
-    const vlo = this.getVariant(b, offset);
+    const vlo = this.getVariant(b, offset, context);
     if (!vlo) {
       throw new Error('unable to determine span for unrecognized variant');
     }
-    return vlo.getSpan(b, offset);
+    return vlo.getSpan(b, offset, context);
   }
 
   /**
@@ -1673,13 +5714,13 @@ class Union extends Layout {
    * value is an instance of that variant, with no explicit
    * discriminator.  Otherwise the {@link Union#defaultLayout|default
    * layout} is used to decode the content. */
-  decode(b, offset) {
+  decode(b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
     let dest;
     const dlo = this.discriminator;
-    const discr = dlo.decode(b, offset);
+    const discr = dlo.decode(b, offset, context);
     let clo = this.registry[discr];
     if (undefined === clo) {
       let contentOffset = 0;
@@ -1689,9 +5730,10 @@ class Union extends Layout {
       }
       dest = this.makeDestinationObject();
       dest[dlo.property] = discr;
-      dest[clo.property] = this.defaultLayout.decode(b, offset + contentOffset);
+      const ctx = childContext(context, this, dest, 'Union.decode');
+      dest[clo.property] = this.defaultLayout.decode(b, offset + contentOffset, ctx);
     } else {
-      dest = clo.decode(b, offset);
+      dest = clo.decode(b, offset, context);
     }
     return dest;
   }
@@ -1702,7 +5744,7 @@ class Union extends Layout {
    * {@link Union#defaultLayout|default layout}.  To encode variants
    * use the appropriate variant-specific {@link VariantLayout#encode}
    * method. */
-  encode(src, b, offset) {
+  encode(src, b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
@@ -1714,11 +5756,12 @@ class Union extends Layout {
       if (this.usesPrefixDiscriminator) {
         contentOffset = dlo.layout.span;
       }
-      dlo.encode(src[dlo.property], b, offset);
+      dlo.encode(src[dlo.property], b, offset, context);
+      const ctx = childContext(context, this, src, 'Union.encode');
       return contentOffset + clo.encode(src[clo.property], b,
-                                        offset + contentOffset);
+                                        offset + contentOffset, ctx);
     }
-    return vlo.encode(src, b, offset);
+    return vlo.encode(src, b, offset, context);
   }
 
   /** Register a new variant structure within a union.  The newly
@@ -1752,15 +5795,19 @@ class Union extends Layout {
    * @param {Number} offset - offset into `vb` for the start of the
    * union.  Used only when `vb` is an instance of {Buffer}.
    *
+   * @param {Context} [context] - passed to the {@link
+   * Union#discriminator|discriminator} when `vb` is an instance of
+   * {Buffer}.
+   *
    * @return {({VariantLayout}|undefined)}
    */
-  getVariant(vb, offset) {
+  getVariant(vb, offset, context) {
     let variant = vb;
     if (Buffer.isBuffer(vb)) {
       if (undefined === offset) {
         offset = 0;
       }
-      variant = this.discriminator.decode(vb, offset);
+      variant = this.discriminator.decode(vb, offset, context);
     }
     return this.registry[variant];
   }
@@ -1846,7 +5893,12 @@ class VariantLayout extends Layout {
   }
 
   /** @override */
-  getSpan(b, offset) {
+  getAlignment() {
+    return this.union.getAlignment();
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
     if (0 <= this.span) {
       /* Will be equal to the containing union span if that is not
        * variable. */
@@ -1860,16 +5912,17 @@ class VariantLayout extends Layout {
       contentOffset = this.union.discriminator.layout.span;
     }
     /* Span is defined solely by the variant (and prefix discriminator) */
-    return contentOffset + this.layout.getSpan(b, offset + contentOffset);
+    const ctx = childContext(context, this, undefined, 'VariantLayout.getSpan');
+    return contentOffset + this.layout.getSpan(b, offset + contentOffset, ctx);
   }
 
   /** @override */
-  decode(b, offset) {
+  decode(b, offset, context) {
     const dest = this.makeDestinationObject();
     if (undefined === offset) {
       offset = 0;
     }
-    if (this !== this.union.getVariant(b, offset)) {
+    if (this !== this.union.getVariant(b, offset, context)) {
       throw new Error('variant mismatch');
     }
     let contentOffset = 0;
@@ -1877,7 +5930,8 @@ class VariantLayout extends Layout {
       contentOffset = this.union.discriminator.layout.span;
     }
     if (this.layout) {
-      dest[this.property] = this.layout.decode(b, offset + contentOffset);
+      const ctx = childContext(context, this, dest, 'VariantLayout.decode');
+      dest[this.property] = this.layout.decode(b, offset + contentOffset, ctx);
     } else if (this.property) {
       dest[this.property] = true;
     } else if (this.union.usesPrefixDiscriminator) {
@@ -1887,7 +5941,7 @@ class VariantLayout extends Layout {
   }
 
   /** @override */
-  encode(src, b, offset) {
+  encode(src, b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
@@ -1899,11 +5953,12 @@ class VariantLayout extends Layout {
         && (!src.hasOwnProperty(this.property))) {
       throw new TypeError('variant lacks property ' + this.property);
     }
-    this.union.discriminator.encode(this.variant, b, offset);
+    this.union.discriminator.encode(this.variant, b, offset, context);
     let span = contentOffset;
     if (this.layout) {
-      this.layout.encode(src[this.property], b, offset + contentOffset);
-      span += this.layout.getSpan(b, offset + contentOffset);
+      const ctx = childContext(context, this, src, 'VariantLayout.encode');
+      this.layout.encode(src[this.property], b, offset + contentOffset, ctx);
+      span += this.layout.getSpan(b, offset + contentOffset, ctx);
       if ((0 <= this.union.span)
           && (span > this.union.span)) {
         throw new Error('encoded variant overruns containing union');
@@ -2016,6 +6071,11 @@ class BitStructure extends Layout {
     };
   }
 
+  /** @override */
+  getAlignment() {
+    return this.word.getAlignment();
+  }
+
   /** @override */
   decode(b, offset) {
     const dest = this.makeDestinationObject();
@@ -2084,6 +6144,25 @@ class BitStructure extends Layout {
     return bf;
   }
 
+  /** As with {@link BitStructure#addField|addField} for fields with
+   * symbolic {@link Enumeration|enumerated} value representation.
+   *
+   * @param {Number} bits - initializer for {@link BitField#bits|bits}.
+   *
+   * @param {Object} values - as with {@link Enumeration}.
+   *
+   * @param {Object} [options] - as with {@link Enumeration}.
+   *
+   * @param {string} property - initializer for {@link
+   * Layout#property|property}.
+   *
+   * @return {BitEnumeration} */
+  addEnumeration(bits, values, options, property) {
+    const bf = new BitEnumeration(this, bits, values, options, property);
+    this.fields.push(bf);
+    return bf;
+  }
+
   /**
    * Get access to the bit field for a given property.
    *
@@ -2249,6 +6328,61 @@ class Boolean extends BitField {
 }
 /* eslint-enable no-extend-native */
 
+/**
+ * Represent a sequence of bits within a {@link BitStructure} as a
+ * symbolic name drawn from a table.
+ *
+ * Names and the treatment of unnamed integers follow {@link
+ * Enumeration}.
+ *
+ * **NOTE** User code should not invoke this constructor directly.
+ * Use the container {@link
+ * BitStructure#addEnumeration|addEnumeration} helper method.
+ *
+ * @param {BitStructure} container - initializer for {@link
+ * BitField#container|container}.
+ *
+ * @param {Number} bits - initializer for {@link BitField#bits|bits}.
+ *
+ * @param {Object} values - as with {@link Enumeration}.
+ *
+ * @param {Object} [options] - as with {@link Enumeration}.  If the
+ * parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {string} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {BitField}
+ */
+class BitEnumeration extends BitField {
+  constructor(container, bits, values, options, property) {
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    super(container, bits, property);
+    configureEnumeration(this, values, options);
+  }
+
+  /** Override {@link BitField#decode|decode} for {@link
+   * BitEnumeration|BitEnumeration}.
+   *
+   * @returns {(string|Number|*)} */
+  decode(b, offset) {
+    return enumerationName(this, BitField.prototype.decode.call(this, b, offset),
+                           'BitEnumeration.decode');
+  }
+
+  /** @override */
+  encode(value) {
+    return BitField.prototype.encode.call(this,
+                                          enumerationValue(this, value, 'BitEnumeration.encode'));
+  }
+}
+
 /**
  * Contain a fixed-length block of arbitrary data, represented as a
  * Buffer.
@@ -2286,22 +6420,22 @@ class Blob extends Layout {
   }
 
   /** @override */
-  getSpan(b, offset) {
+  getSpan(b, offset, context) {
     let span = this.span;
     if (0 > span) {
-      span = this.length.decode(b, offset);
+      span = this.length.decode(b, offset, context);
     }
     return span;
   }
 
   /** @override */
-  decode(b, offset) {
+  decode(b, offset, context) {
     if (undefined === offset) {
       offset = 0;
     }
     let span = this.span;
     if (0 > span) {
-      span = this.length.decode(b, offset);
+      span = this.length.decode(b, offset, context);
     }
     return b.slice(offset, offset + span);
   }
@@ -2311,7 +6445,7 @@ class Blob extends Layout {
    * **NOTE** If {@link Layout#count|count} is an instance of {@link
    * ExternalLayout} then the length of `src` will be encoded as the
    * count after `src` is encoded. */
-  encode(src, b, offset) {
+  encode(src, b, offset, context) {
     let span = this.length;
     if (this.length instanceof ExternalLayout) {
       span = src.length;
@@ -2326,19 +6460,226 @@ class Blob extends Layout {
     }
     b.write(src.toString('hex'), offset, span, 'hex');
     if (this.length instanceof ExternalLayout) {
-      this.length.encode(span, b, offset);
+      this.length.encode(span, b, offset, context);
+    }
+    return span;
+  }
+}
+
+/* The text encodings supported by the string layouts, with the width
+ * in bytes of each code unit.  The code unit width is also the width
+ * of a terminator. */
+const TEXT_ENCODINGS = {
+  utf8: 1,
+  latin1: 1,
+  ascii: 1,
+  utf16le: 2,
+  utf16be: 2,
+  ucs2: 2,
+  mutf8: 1,
+};
+
+/* Validate a text encoding name, defaulting to `utf8`. */
+function checkEncoding(encoding) {
+  if (undefined === encoding) {
+    return 'utf8';
+  }
+  if (!TEXT_ENCODINGS.hasOwnProperty(encoding)) {
+    throw new TypeError('encoding must be one of '
+                        + Object.keys(TEXT_ENCODINGS).join(', '));
+  }
+  return encoding;
+}
+
+/* Encode text as Java modified UTF-8: each UTF-16 code unit is
+ * encoded separately, and NUL uses the two-byte form. */
+function encodeMUTF8(text) {
+  const out = [];
+  for (let i = 0; i < text.length; ++i) {
+    const u = text.charCodeAt(i);
+    if ((0 < u) && (0x80 > u)) {
+      out.push(u);
+    } else if (0x800 > u) {
+      out.push(0xC0 | (u >> 6), 0x80 | (u & 0x3F));
+    } else {
+      out.push(0xE0 | (u >> 12), 0x80 | ((u >> 6) & 0x3F), 0x80 | (u & 0x3F));
+    }
+  }
+  return Buffer.from(out);
+}
+
+/* Decode Java modified UTF-8, returning `undefined` if the data is
+ * malformed. */
+function decodeMUTF8(b) {
+  const units = [];
+  let i = 0;
+  while (i < b.length) {
+    const c = b[i];
+    let u;
+    let n = 1;
+    if ((0 < c) && (0x80 > c)) {
+      u = c;
+    } else if (0xC0 === (c & 0xE0)) {
+      n = 2;
+      u = (c & 0x1F) << 6;
+    } else if (0xE0 === (c & 0xF0)) {
+      n = 3;
+      u = (c & 0x0F) << 12;
+    } else {
+      return undefined;
+    }
+    if ((i + n) > b.length) {
+      return undefined;
+    }
+    for (let j = 1; j < n; ++j) {
+      const cc = b[i + j];
+      if (0x80 !== (cc & 0xC0)) {
+        return undefined;
+      }
+      u |= (cc & 0x3F) << (6 * (n - j - 1));
+    }
+    /* Reject overlong forms other than the two-byte NUL. */
+    if (((2 === n) && (0 !== u) && (0x80 > u))
+        || ((3 === n) && (0x800 > u))) {
+      return undefined;
+    }
+    units.push(String.fromCharCode(u));
+    i += n;
+  }
+  return units.join('');
+}
+
+/* Coerce a value to be encoded by a string layout to a string.  This
+ * must be done before encoding, lest a number passed to
+ * `Buffer.from` allocate a buffer of that length. */
+function textOf(src) {
+  if ('string' !== typeof src) {
+    src = src.toString();
+  }
+  return src;
+}
+
+/* Encode text to a Buffer in the given encoding, throwing a
+ * `RangeError` if the text has characters that cannot be
+ * represented.  Non-string values are coerced by textOf. */
+function encodeText(text, encoding, name, lo) {
+  text = textOf(text);
+  if (('latin1' === encoding)
+      || ('ascii' === encoding)
+      || ('ucs2' === encoding)) {
+    for (let i = 0; i < text.length; ++i) {
+      const u = text.charCodeAt(i);
+      if ((('latin1' === encoding) && (0xFF < u))
+          || (('ascii' === encoding) && (0x7F < u))
+          || (('ucs2' === encoding) && (0xD800 <= u) && (0xDFFF >= u))) {
+        throw new RangeError(nameWithProperty(name, lo) + ' cannot encode U+'
+                             + ('000' + u.toString(16)).slice(-4) + ' as ' + encoding);
+      }
+    }
+  }
+  if ('mutf8' === encoding) {
+    return encodeMUTF8(text);
+  }
+  if ('utf16be' === encoding) {
+    return Buffer.from(text, 'utf16le').swap16();
+  }
+  return Buffer.from(text, ('ucs2' === encoding) ? 'utf16le' : encoding);
+}
+
+/* Decode text from a Buffer in the given encoding.  A `RangeError` is
+ * thrown for ascii data with the high bit set, invalid mutf8 data,
+ * ucs2 data with surrogates, and two-byte encodings with an odd
+ * number of bytes.  Invalid utf8 and utf16 sequences are decoded as
+ * Buffer does, to U+FFFD or unpaired surrogates respectively, and
+ * every byte is valid latin1. */
+function decodeText(b, encoding, name, lo) {
+  let rv;
+  if (1 === TEXT_ENCODINGS[encoding]) {
+    if ('mutf8' === encoding) {
+      rv = decodeMUTF8(b);
+    } else if (('ascii' !== encoding)
+               || b.every(v => (0x80 > v))) {
+      rv = b.toString(encoding);
+    }
+  } else if (0 === (b.length % 2)) {
+    if ('utf16be' === encoding) {
+      b = Buffer.from(b).swap16();
+    }
+    rv = b.toString('utf16le');
+    if ('ucs2' === encoding) {
+      for (let i = 0; i < b.length; i += 2) {
+        if (0xD8 === (b[i + 1] & 0xF8)) {
+          rv = undefined;
+          break;
+        }
+      }
     }
-    return span;
   }
+  if (undefined === rv) {
+    throw new RangeError(nameWithProperty(name, lo) + ' invalid ' + encoding + ' data');
+  }
+  return rv;
+}
+
+/* Locate the end of the content of a CString at `offset`, returning
+ * the length of the content and the span of the encoded value. */
+function cstringExtent(cs, b, offset, name) {
+  const unit = TEXT_ENCODINGS[cs.encoding];
+  let limit = b.length;
+  if (0 <= cs.maxSpan) {
+    limit = Math.min(limit, offset + cs.maxSpan);
+  }
+  let idx = offset;
+  while (((idx + unit) <= limit)
+         && ((0 !== b[idx]) || ((2 === unit) && (0 !== b[idx + 1])))) {
+    idx += unit;
+  }
+  const content = idx - offset;
+  if ((idx + unit) <= limit) {
+    return {content, span: content + unit};
+  }
+  if ('accept' === cs.unterminated) {
+    return {content, span: content};
+  }
+  if ('throw' === cs.unterminated) {
+    throw new RangeError(nameWithProperty(name, cs) + ' missing terminator within '
+                         + (limit - offset) + ' bytes');
+  }
+  return {content, span: content + unit};
 }
 
 /**
- * Contain a `NUL`-terminated UTF8 string.
+ * Contain a `NUL`-terminated string.
  *
  * *Factory*: {@link module:Layout.cstr|cstr}
  *
- * **NOTE** Any UTF8 string that incorporates a zero-valued byte will
- * not be correctly decoded by this layout.
+ * The terminator is a zero-valued code unit: one byte for single-byte
+ * encodings and two bytes, aligned to the start of the string, for
+ * UTF-16 and UCS-2.
+ *
+ * By default the terminator is sought to the end of the buffer, and
+ * if none is found the span is reported as though a terminator
+ * followed the buffer.  Configuring {@link CString#maxSpan|maxSpan}
+ * or {@link CString#unterminated|unterminated} bounds the search and
+ * makes the treatment of a missing terminator explicit.
+ *
+ * **NOTE** Any string whose encoding incorporates a zero-valued code
+ * unit will not be correctly decoded by this layout.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {String} [options.encoding] - initializer for {@link
+ * CString#encoding|encoding}.
+ *
+ * @param {Number} [options.maxSpan] - initializer for {@link
+ * CString#maxSpan|maxSpan}.
+ *
+ * @param {String} [options.unterminated] - initializer for {@link
+ * CString#unterminated|unterminated}.  The default is `throw` if
+ * `maxSpan` is provided.
  *
  * @param {String} [property] - initializer for {@link
  * Layout#property|property}.
@@ -2346,8 +6687,62 @@ class Blob extends Layout {
  * @augments {Layout}
  */
 class CString extends Layout {
-  constructor(property) {
+  constructor(options, property) {
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const encoding = checkEncoding(options.encoding);
+    let maxSpan = options.maxSpan;
+    let unterminated = options.unterminated;
+    if (undefined === maxSpan) {
+      maxSpan = -1;
+    } else {
+      if (!(Number.isInteger(maxSpan) && (0 <= maxSpan))) {
+        throw new TypeError('maxSpan must be a non-negative integer');
+      }
+      if (undefined === unterminated) {
+        unterminated = 'throw';
+      }
+    }
+    if (!((undefined === unterminated)
+          || ('throw' === unterminated)
+          || ('accept' === unterminated))) {
+      throw new TypeError('unterminated must be throw or accept');
+    }
     super(-1, property);
+
+    /** The text encoding: one of `utf8` (default), `latin1`, `ascii`
+     * (strict 7-bit), `utf16le`, `utf16be`, `ucs2` (UTF-16LE without
+     * surrogates), or `mutf8` (Java modified UTF-8). */
+    this.encoding = encoding;
+
+    /** The maximum span of the layout in bytes, including the
+     * terminator.
+     *
+     * The terminator is sought only within this many bytes, and
+     * attempts to encode a value that exceeds this span will throw a
+     * `RangeError`.  A negative value indicates that there is no bound
+     * other than the end of the buffer. */
+    this.maxSpan = maxSpan;
+
+    /** The treatment of a value that has no terminator within {@link
+     * CString#maxSpan|maxSpan} or the buffer: `throw` to throw a
+     * `RangeError`, or `accept` to take the content as extending to
+     * that limit.  When `accept` is selected encoding will also omit
+     * the terminator from a value that exactly fills `maxSpan`.
+     *
+     * If `undefined` (the default when `maxSpan` is not provided) a
+     * missing terminator is treated as though it followed the
+     * buffer. */
+    this.unterminated = unterminated;
+  }
+
+  /** @override */
+  getAlignment() {
+    return TEXT_ENCODINGS[this.encoding];
   }
 
   /** @override */
@@ -2358,11 +6753,7 @@ class CString extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    let idx = offset;
-    while ((idx < b.length) && (0 !== b[idx])) {
-      idx += 1;
-    }
-    return 1 + idx - offset;
+    return cstringExtent(this, b, offset, 'CString.getSpan').span;
   }
 
   /** @override */
@@ -2370,8 +6761,9 @@ class CString extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    let span = this.getSpan(b, offset);
-    return b.slice(offset, offset + span - 1).toString('utf-8');
+    const extent = cstringExtent(this, b, offset, 'CString.decode');
+    return decodeText(b.slice(offset, offset + extent.content),
+                      this.encoding, 'CString.decode', this);
   }
 
   /** @override */
@@ -2379,36 +6771,47 @@ class CString extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    /* Must force this to a string, lest it be a number and the
-     * "utf8-encoding" below actually allocate a buffer of length
-     * src */
-    if ('string' !== typeof src) {
-      src = src.toString();
-    }
-    const srcb = new Buffer(src, 'utf8');
+    const srcb = encodeText(src, this.encoding, 'CString.encode', this);
     const span = srcb.length;
-    if ((offset + span) > b.length) {
+    let unit = TEXT_ENCODINGS[this.encoding];
+    if ((0 <= this.maxSpan)
+        && (this.maxSpan < (span + unit))) {
+      if (!(('accept' === this.unterminated)
+            && (this.maxSpan === span))) {
+        throw new RangeError(nameWithProperty('CString.encode', this)
+                             + ' text length exceeds maxSpan');
+      }
+      unit = 0;
+    }
+    const bounded = ((0 <= this.maxSpan) || (undefined !== this.unterminated));
+    if ((offset + span + (bounded ? unit : 0)) > b.length) {
       throw new RangeError('encoding overruns Buffer');
     }
     srcb.copy(b, offset);
-    b[offset + span] = 0;
-    return span + 1;
+    for (let i = 0; i < unit; ++i) {
+      b[offset + span + i] = 0;
+    }
+    return span + unit;
   }
 }
 
 /**
- * Contain a UTF8 string with implicit length.
+ * Contain a string with implicit length.
  *
  * *Factory*: {@link module:Layout.utf8|utf8}
  *
+ * The string is encoded in UTF-8 unless another {@link
+ * CString#encoding|encoding} is selected.
+ *
  * **NOTE** Because the length is implicit in the size of the buffer
  * this layout should be used only in isolation, or in a situation
  * where the length can be expressed by operating on a slice of the
  * containing buffer.
  *
- * @param {Number} [maxSpan] - the maximum length allowed for encoded
- * string content.  If not provided there is no bound on the allowed
- * content.
+ * @param {(Number|Object)} [maxSpan] - the maximum length allowed for
+ * encoded string content.  If not provided there is no bound on the
+ * allowed content.  If the parameter is an object it provides options
+ * with properties `maxSpan` and `encoding`.
  *
  * @param {String} [property] - initializer for {@link
  * Layout#property|property}.
@@ -2422,6 +6825,12 @@ class UTF8 extends Layout {
       property = maxSpan;
       maxSpan = undefined;
     }
+    let options = {};
+    if (maxSpan && ('object' === typeof maxSpan)) {
+      options = maxSpan;
+      maxSpan = options.maxSpan;
+    }
+    const encoding = checkEncoding(options.encoding);
     if (undefined === maxSpan) {
       maxSpan = -1;
     } else if (!Number.isInteger(maxSpan)) {
@@ -2439,6 +6848,14 @@ class UTF8 extends Layout {
      * A negative value indicates that there is no bound on the length
      * of the content. */
     this.maxSpan = maxSpan;
+
+    /** The text encoding, as with {@link CString#encoding}. */
+    this.encoding = encoding;
+  }
+
+  /** @override */
+  getAlignment() {
+    return TEXT_ENCODINGS[this.encoding];
   }
 
   /** @override */
@@ -2462,7 +6879,7 @@ class UTF8 extends Layout {
         && (this.maxSpan < span)) {
       throw new RangeError('text length exceeds maxSpan');
     }
-    return b.slice(offset, offset + span).toString('utf-8');
+    return decodeText(b.slice(offset, offset + span), this.encoding, 'UTF8.decode', this);
   }
 
   /** @override */
@@ -2470,13 +6887,7 @@ class UTF8 extends Layout {
     if (undefined === offset) {
       offset = 0;
     }
-    /* Must force this to a string, lest it be a number and the
-     * "utf8-encoding" below actually allocate a buffer of length
-     * src */
-    if ('string' !== typeof src) {
-      src = src.toString();
-    }
-    const srcb = new Buffer(src, 'utf8');
+    const srcb = encodeText(src, this.encoding, 'UTF8.encode', this);
     const span = srcb.length;
     if ((0 <= this.maxSpan)
         && (this.maxSpan < span)) {
@@ -2490,6 +6901,327 @@ class UTF8 extends Layout {
   }
 }
 
+/* The treatments of padding when decoding a FixedString. */
+const FIXEDSTRING_TRIMS = ['trailing', 'first', 'none'];
+
+/* Return the longest prefix of `src` that ends on a code point
+ * boundary and encodes to no more than `maxSpan` bytes in
+ * `encoding`.  `src` is coerced by textOf and must be representable
+ * in `encoding`. */
+function truncateString(src, maxSpan, encoding) {
+  src = textOf(src);
+  let span = 0;
+  let end = 0;
+  for (const ch of src) {
+    const n = encodeText(ch, encoding).length;
+    if ((span + n) > maxSpan) {
+      break;
+    }
+    span += n;
+    end += ch.length;
+  }
+  return src.slice(0, end);
+}
+
+/**
+ * Contain a string padded to a fixed span.
+ *
+ * *Factory*: {@link module:Layout.fixedStr|fixedStr}
+ *
+ * This supports C members like `char name[16]` where the text is
+ * followed by NUL or space padding to fill the member.
+ *
+ * @param {Number} span - initializer for {@link Layout#span|span}.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {Number} [options.pad] - initializer for {@link
+ * FixedString#pad|pad}.
+ *
+ * @param {String} [options.trim] - initializer for {@link
+ * FixedString#trim|trim}.
+ *
+ * @param {String} [options.overflow] - initializer for {@link
+ * FixedString#overflow|overflow}.
+ *
+ * @param {String} [options.encoding] - initializer for {@link
+ * FixedString#encoding|encoding}.
+ *
+ * @param {String} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class FixedString extends Layout {
+  constructor(span, options, property) {
+    if (!((Number.isInteger(span)) && (0 <= span))) {
+      throw new TypeError('span must be a non-negative integer');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    const pad = (undefined === options.pad) ? 0 : options.pad;
+    if (!(Number.isInteger(pad)
+          && (0 <= pad)
+          && (255 >= pad))) {
+      throw new TypeError('pad must be a byte value');
+    }
+    const trim = options.trim || 'trailing';
+    if (0 > FIXEDSTRING_TRIMS.indexOf(trim)) {
+      throw new TypeError('trim must be one of ' + FIXEDSTRING_TRIMS.join(', '));
+    }
+    const overflow = options.overflow || 'throw';
+    if (('throw' !== overflow)
+        && ('truncate' !== overflow)) {
+      throw new TypeError('overflow must be throw or truncate');
+    }
+    const encoding = checkEncoding(options.encoding);
+    super(span, property);
+
+    /** The byte used to fill the span after the encoded text.  The
+     * default is zero (NUL). */
+    this.pad = pad;
+
+    /** The treatment of padding when decoding: `trailing` (default)
+     * removes pad bytes from the end of the span, `first` ends the
+     * text at the first pad byte, and `none` decodes the entire
+     * span. */
+    this.trim = trim;
+
+    /** The treatment of text that does not fit in the span when
+     * encoding: `throw` (default) to throw a `RangeError`, or
+     * `truncate` to encode the longest prefix that fits without
+     * splitting a character. */
+    this.overflow = overflow;
+
+    /** The text encoding, as with {@link CString#encoding}.  For
+     * UTF-16 and UCS-2 padding is recognized only where both bytes of
+     * a code unit are {@link FixedString#pad|pad}. */
+    this.encoding = encoding;
+  }
+
+  /** @override */
+  getAlignment() {
+    return TEXT_ENCODINGS[this.encoding];
+  }
+
+  /** @override */
+  decode(b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    if ((offset + this.span) > b.length) {
+      throw new RangeError('decoding overruns Buffer');
+    }
+    const unit = TEXT_ENCODINGS[this.encoding];
+    const isPad = (idx => {
+      for (let i = 0; i < unit; ++i) {
+        if (this.pad !== b[idx + i]) {
+          return false;
+        }
+      }
+      return true;
+    });
+    let end = offset + this.span;
+    if ('first' === this.trim) {
+      for (let idx = offset; (idx + unit) <= end; idx += unit) {
+        if (isPad(idx)) {
+          end = idx;
+          break;
+        }
+      }
+    } else if ('trailing' === this.trim) {
+      end -= this.span % unit;
+      while ((end > offset) && isPad(end - unit)) {
+        end -= unit;
+      }
+    }
+    return decodeText(b.slice(offset, end), this.encoding, 'FixedString.decode', this);
+  }
+
+  /** @override */
+  encode(src, b, offset) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    let srcb = encodeText(src, this.encoding, 'FixedString.encode', this);
+    if (this.span < srcb.length) {
+      if ('throw' === this.overflow) {
+        throw new RangeError(nameWithProperty('FixedString.encode', this)
+                             + ' text length exceeds span');
+      }
+      srcb = encodeText(truncateString(src, this.span, this.encoding), this.encoding);
+    }
+    if ((offset + this.span) > b.length) {
+      throw new RangeError('encoding overruns Buffer');
+    }
+    srcb.copy(b, offset);
+    b.fill(this.pad, offset + srcb.length, offset + this.span);
+    return this.span;
+  }
+}
+
+/* The number of bytes in the length prefix of a PascalString or
+ * BoundedSequence, or zero if the length is external. */
+function prefixSpan(ps, b, offset) {
+  if (ps.length instanceof ExternalLayout) {
+    return 0;
+  }
+  return ps.length.getSpan(b, offset);
+}
+
+/**
+ * Contain a string with an explicit byte length.
+ *
+ * *Factory*: {@link module:Layout.pstr|pstr}
+ *
+ * The length may be held elsewhere, as with {@link Blob#length|Blob},
+ * or in an unsigned integer prefix that immediately precedes the
+ * string content and is included in the span of this layout.
+ *
+ * @param {(ExternalLayout|Layout)} length - initializer for {@link
+ * PascalString#length|length}.
+ *
+ * @param {Object} [options] - configuration of the representation.
+ * If the parameter at this position is a string and `property` is
+ * `undefined` the value of this argument will instead be used as the
+ * value of `property`.
+ *
+ * @param {Number} [options.maxSpan] - initializer for {@link
+ * PascalString#maxSpan|maxSpan}.
+ *
+ * @param {String} [options.encoding] - initializer for {@link
+ * PascalString#encoding|encoding}.
+ *
+ * @param {String} [property] - initializer for {@link
+ * Layout#property|property}.
+ *
+ * @augments {Layout}
+ */
+class PascalString extends Layout {
+  constructor(length, options, property) {
+    if (!(((length instanceof ExternalLayout) && length.isCount())
+          || (((length instanceof UInt)
+               || (length instanceof UIntBE))
+              && (6 >= length.span))
+          || (length instanceof ULEB128)
+          || (length instanceof VLQ))) {
+      throw new TypeError('length must be an unsigned integer ExternalLayout '
+                          + 'or an unsigned integer prefix layout');
+    }
+    if (('string' === typeof options)
+        && (undefined === property)) {
+      property = options;
+      options = undefined;
+    }
+    options = options || {};
+    let maxSpan = options.maxSpan;
+    if (undefined === maxSpan) {
+      maxSpan = -1;
+    } else if (!Number.isInteger(maxSpan)) {
+      throw new TypeError('maxSpan must be an integer');
+    }
+    const encoding = checkEncoding(options.encoding);
+    super(-1, property);
+
+    /** The number of bytes of string content.
+     *
+     * This may be an instance of {@link ExternalLayout} that satisfies
+     * {@link ExternalLayout#isCount|isCount()}, in which case the
+     * length is held outside this layout.  Otherwise it is a {@link
+     * UInt}, {@link UIntBE}, {@link ULEB128}, or {@link VLQ} prefix
+     * that is encoded immediately before the content. */
+    this.length = length;
+
+    /** The maximum number of bytes of string content.
+     *
+     * Attempts to encode or decode a value that exceeds this length
+     * will throw a `RangeError`.  A negative value indicates that
+     * there is no bound on the length of the content. */
+    this.maxSpan = maxSpan;
+
+    /** The text encoding, as with {@link CString#encoding}. */
+    this.encoding = encoding;
+  }
+
+  /** @override */
+  getAlignment() {
+    if (this.length instanceof ExternalLayout) {
+      return 1;
+    }
+    return this.length.getAlignment();
+  }
+
+  /** @override */
+  getSpan(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    return prefixSpan(this, b, offset) + this.length.decode(b, offset, context);
+  }
+
+  /** @override */
+  decode(b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const start = offset + prefixSpan(this, b, offset);
+    const span = this.length.decode(b, offset, context);
+    if ((0 <= this.maxSpan)
+        && (this.maxSpan < span)) {
+      throw new RangeError('text length exceeds maxSpan');
+    }
+    if ((start + span) > b.length) {
+      throw new RangeError('decoding overruns Buffer');
+    }
+    return decodeText(b.slice(start, start + span), this.encoding,
+                      'PascalString.decode', this);
+  }
+
+  /** Implement {@link Layout#encode|encode} for {@link PascalString}.
+   *
+   * **NOTE** If {@link PascalString#length|length} is an instance of
+   * {@link ExternalLayout} then the length of `src` will be encoded as
+   * the count after `src` is encoded. */
+  encode(src, b, offset, context) {
+    if (undefined === offset) {
+      offset = 0;
+    }
+    const srcb = encodeText(src, this.encoding, 'PascalString.encode', this);
+    const span = srcb.length;
+    if ((0 <= this.maxSpan)
+        && (this.maxSpan < span)) {
+      throw new RangeError('text length exceeds maxSpan');
+    }
+    const external = (this.length instanceof ExternalLayout);
+    let prefix;
+    if (!external) {
+      /* Encode the prefix aside so nothing is written if the content
+       * would overrun the buffer.  No supported prefix layout needs
+       * more than 8 bytes for a safe integer. */
+      prefix = Buffer.alloc(8);
+      prefix = prefix.slice(0, this.length.encode(span, prefix));
+    }
+    const start = offset + (prefix ? prefix.length : 0);
+    if ((start + span) > b.length) {
+      throw new RangeError('encoding overruns Buffer');
+    }
+    if (external) {
+      this.length.encode(span, b, offset, context);
+    } else {
+      prefix.copy(b, offset);
+    }
+    srcb.copy(b, start);
+    return start + span - offset;
+  }
+}
+
 /**
  * Contain a constant value.
  *
@@ -2537,18 +7269,56 @@ class Constant extends Layout {
   }
 }
 
+exports.Context = Context;
 exports.ExternalLayout = ExternalLayout;
 exports.GreedyCount = GreedyCount;
 exports.OffsetLayout = OffsetLayout;
+exports.SiblingLayout = SiblingLayout;
+exports.NumericLayout = NumericLayout;
 exports.UInt = UInt;
 exports.UIntBE = UIntBE;
 exports.Int = Int;
 exports.IntBE = IntBE;
+exports.UInt64 = UInt64;
+exports.UInt64BE = UInt64BE;
+exports.Int64 = Int64;
+exports.Int64BE = Int64BE;
 exports.Float = Float;
 exports.FloatBE = FloatBE;
 exports.Double = Double;
 exports.DoubleBE = DoubleBE;
+exports.Float16 = Float16;
+exports.Float16BE = Float16BE;
+exports.BFloat16 = BFloat16;
+exports.BFloat16BE = BFloat16BE;
+exports.FixedPoint = FixedPoint;
+exports.ULEB128 = ULEB128;
+exports.SLEB128 = SLEB128;
+exports.ZigZag = ZigZag;
+exports.VLQ = VLQ;
+exports.BCD = BCD;
+exports.Scaled = Scaled;
+exports.Enumeration = Enumeration;
+exports.FlagSet = FlagSet;
+exports.Bool = Bool;
+exports.Timestamp = Timestamp;
+exports.UnixTime = UnixTime;
+exports.NTPTime = NTPTime;
+exports.FileTime = FileTime;
+exports.GPSTime = GPSTime;
+exports.DOSDateTime = DOSDateTime;
+exports.Address = Address;
+exports.IPv4 = IPv4;
+exports.IPv6 = IPv6;
+exports.EUI = EUI;
+exports.UUID = UUID;
+exports.ShortUUID = ShortUUID;
 exports.Sequence = Sequence;
+exports.TerminatedSequence = TerminatedSequence;
+exports.BoundedSequence = BoundedSequence;
+exports.GreedySequence = GreedySequence;
+exports.Optional = Optional;
+exports.Computed = Computed;
 exports.Structure = Structure;
 exports.UnionDiscriminator = UnionDiscriminator;
 exports.UnionLayoutDiscriminator = UnionLayoutDiscriminator;
@@ -2557,17 +7327,26 @@ exports.VariantLayout = VariantLayout;
 exports.BitStructure = BitStructure;
 exports.BitField = BitField;
 exports.Boolean = Boolean;
+exports.BitEnumeration = BitEnumeration;
 exports.Blob = Blob;
 exports.CString = CString;
 exports.UTF8 = UTF8;
+exports.FixedString = FixedString;
+exports.PascalString = PascalString;
 exports.Constant = Constant;
 
+/** Factory for {@link Context} values. */
+exports.context = (params => new Context(params));
+
 /** Factory for {@link GreedyCount}. */
 exports.greedy = ((elementSpan, property) => new GreedyCount(elementSpan, property));
 
 /** Factory for {@link OffsetLayout}. */
 exports.offset = ((layout, offset, property) => new OffsetLayout(layout, offset, property));
 
+/** Factory for {@link SiblingLayout}. */
+exports.sibling = ((reference, property) => new SiblingLayout(reference, property));
+
 /** Factory for {@link UInt|unsigned int layouts} spanning one
  * byte. */
 exports.u8 = (property => new UInt(1, property));
@@ -2592,10 +7371,26 @@ exports.u40 = (property => new UInt(5, property));
  * spanning six bytes. */
 exports.u48 = (property => new UInt(6, property));
 
+/** Factory for {@link UInt|little-endian unsigned int layouts}
+ * spanning sixteen bytes. */
+exports.u128 = (property => new UInt(16, property));
+
+/** Factory for {@link UInt|little-endian unsigned int layouts}
+ * spanning thirty-two bytes. */
+exports.u256 = (property => new UInt(32, property));
+
+/** Factory for {@link UInt|little-endian unsigned int layouts}
+ * spanning an arbitrary number of bytes. */
+exports.uint = ((span, property) => new UInt(span, property));
+
 /** Factory for {@link NearUInt64|little-endian unsigned int
  * layouts} interpreted as Numbers. */
 exports.nu64 = (property => new NearUInt64(property));
 
+/** Factory for {@link UInt64|little-endian unsigned int layouts}
+ * interpreted as BigInts. */
+exports.u64 = (property => new UInt64(property));
+
 /** Factory for {@link UInt|big-endian unsigned int layouts}
  * spanning two bytes. */
 exports.u16be = (property => new UIntBE(2, property));
@@ -2616,10 +7411,26 @@ exports.u40be = (property => new UIntBE(5, property));
  * spanning six bytes. */
 exports.u48be = (property => new UIntBE(6, property));
 
+/** Factory for {@link UInt|big-endian unsigned int layouts}
+ * spanning sixteen bytes. */
+exports.u128be = (property => new UIntBE(16, property));
+
+/** Factory for {@link UInt|big-endian unsigned int layouts}
+ * spanning thirty-two bytes. */
+exports.u256be = (property => new UIntBE(32, property));
+
+/** Factory for {@link UInt|big-endian unsigned int layouts}
+ * spanning an arbitrary number of bytes. */
+exports.uintbe = ((span, property) => new UIntBE(span, property));
+
 /** Factory for {@link NearUInt64BE|big-endian unsigned int
  * layouts} interpreted as Numbers. */
 exports.nu64be = (property => new NearUInt64BE(property));
 
+/** Factory for {@link UInt64BE|big-endian unsigned int layouts}
+ * interpreted as BigInts. */
+exports.u64be = (property => new UInt64BE(property));
+
 /** Factory for {@link Int|signed int layouts} spanning one
  * byte. */
 exports.s8 = (property => new Int(1, property));
@@ -2644,10 +7455,26 @@ exports.s40 = (property => new Int(5, property));
  * spanning six bytes. */
 exports.s48 = (property => new Int(6, property));
 
+/** Factory for {@link Int|little-endian signed int layouts}
+ * spanning sixteen bytes. */
+exports.s128 = (property => new Int(16, property));
+
+/** Factory for {@link Int|little-endian signed int layouts}
+ * spanning thirty-two bytes. */
+exports.s256 = (property => new Int(32, property));
+
+/** Factory for {@link Int|little-endian signed int layouts}
+ * spanning an arbitrary number of bytes. */
+exports.int = ((span, property) => new Int(span, property));
+
 /** Factory for {@link NearInt64|little-endian signed int layouts}
  * interpreted as Numbers. */
 exports.ns64 = (property => new NearInt64(property));
 
+/** Factory for {@link Int64|little-endian signed int layouts}
+ * interpreted as BigInts. */
+exports.s64 = (property => new Int64(property));
+
 /** Factory for {@link Int|big-endian signed int layouts}
  * spanning two bytes. */
 exports.s16be = (property => new IntBE(2, property));
@@ -2668,10 +7495,26 @@ exports.s40be = (property => new IntBE(5, property));
  * spanning six bytes. */
 exports.s48be = (property => new IntBE(6, property));
 
+/** Factory for {@link Int|big-endian signed int layouts}
+ * spanning sixteen bytes. */
+exports.s128be = (property => new IntBE(16, property));
+
+/** Factory for {@link Int|big-endian signed int layouts}
+ * spanning thirty-two bytes. */
+exports.s256be = (property => new IntBE(32, property));
+
+/** Factory for {@link Int|big-endian signed int layouts}
+ * spanning an arbitrary number of bytes. */
+exports.intbe = ((span, property) => new IntBE(span, property));
+
 /** Factory for {@link NearInt64BE|big-endian signed int layouts}
  * interpreted as Numbers. */
 exports.ns64be = (property => new NearInt64BE(property));
 
+/** Factory for {@link Int64BE|big-endian signed int layouts}
+ * interpreted as BigInts. */
+exports.s64be = (property => new Int64BE(property));
+
 /** Factory for {@link Float|little-endian 32-bit floating point} values. */
 exports.f32 = (property => new Float(property));
 
@@ -2684,8 +7527,91 @@ exports.f64 = (property => new Double(property));
 /** Factory for {@link DoubleBE|big-endian 64-bit floating point} values. */
 exports.f64be = (property => new DoubleBE(property));
 
+/** Factory for {@link Float16|little-endian 16-bit floating point} values. */
+exports.f16 = (property => new Float16(property));
+
+/** Factory for {@link Float16BE|big-endian 16-bit floating point} values. */
+exports.f16be = (property => new Float16BE(property));
+
+/** Factory for {@link BFloat16|little-endian bfloat16 floating point} values. */
+exports.bf16 = (property => new BFloat16(property));
+
+/** Factory for {@link BFloat16BE|big-endian bfloat16 floating point} values. */
+exports.bf16be = (property => new BFloat16BE(property));
+
+/** Factory for {@link FixedPoint} values. */
+exports.fixed = ((word, intBits, fracBits, options, property) => new FixedPoint(word, intBits, fracBits,
+                                                                                 options, property));
+
+/** Factory for {@link ULEB128} values. */
+exports.uleb128 = (property => new ULEB128(property));
+
+/** Factory for {@link SLEB128} values. */
+exports.sleb128 = (property => new SLEB128(property));
+
+/** Factory for {@link ZigZag} values. */
+exports.zigzag = (property => new ZigZag(property));
+
+/** Factory for {@link VLQ} values. */
+exports.vlq = (property => new VLQ(property));
+
+/** Factory for {@link BCD} values. */
+exports.bcd = ((digits, options, property) => new BCD(digits, options, property));
+
+/** Factory for {@link Scaled} values. */
+exports.scaled = ((layout, scale, offset, options, property) => new Scaled(layout, scale, offset,
+                                                                            options, property));
+
+/** Factory for {@link Enumeration} values. */
+exports.enumeration = ((layout, values, options, property) => new Enumeration(layout, values, options, property));
+
+/** Factory for {@link FlagSet} values. */
+exports.flags = ((word, flags, options, property) => new FlagSet(word, flags, options, property));
+
+/** Factory for {@link Bool} values. */
+exports.bool = ((word, options, property) => new Bool(word, options, property));
+
+/** Factory for {@link UnixTime} values. */
+exports.unixTime = ((layout, resolution, property) => new UnixTime(layout, resolution, property));
+
+/** Factory for {@link NTPTime} values. */
+exports.ntpTime = (property => new NTPTime(property));
+
+/** Factory for {@link FileTime} values. */
+exports.fileTime = (property => new FileTime(property));
+
+/** Factory for {@link GPSTime} values. */
+exports.gpsTime = ((options, property) => new GPSTime(options, property));
+
+/** Factory for {@link DOSDateTime} values. */
+exports.dosDateTime = (property => new DOSDateTime(property));
+
+/** Factory for {@link IPv4} values. */
+exports.ipv4 = ((options, property) => new IPv4(options, property));
+
+/** Factory for {@link IPv6} values. */
+exports.ipv6 = ((options, property) => new IPv6(options, property));
+
+/** Factory for {@link EUI} values holding MAC addresses. */
+exports.mac = ((options, property) => new EUI(6, options, property));
+
+/** Factory for {@link EUI} values holding EUI-48 identifiers. */
+exports.eui48 = ((options, property) => new EUI(6, options, property));
+
+/** Factory for {@link EUI} values holding EUI-64 identifiers. */
+exports.eui64 = ((options, property) => new EUI(8, options, property));
+
+/** Factory for {@link UUID} values. */
+exports.uuid = ((options, property) => new UUID(options, property));
+
+/** Factory for {@link ShortUUID} values holding 16-bit UUIDs. */
+exports.uuid16 = ((options, property) => new ShortUUID(2, options, property));
+
+/** Factory for {@link ShortUUID} values holding 32-bit UUIDs. */
+exports.uuid32 = ((options, property) => new ShortUUID(4, options, property));
+
 /** Factory for {@link Structure} values. */
-exports.struct = ((fields, property, decodePrefixes) => new Structure(fields, property, decodePrefixes));
+exports.struct = ((fields, property, options) => new Structure(fields, property, options));
 
 /** Factory for {@link BitStructure} values. */
 exports.bits = ((word, msb, property) => new BitStructure(word, msb, property));
@@ -2693,6 +7619,22 @@ exports.bits = ((word, msb, property) => new BitStructure(word, msb, property));
 /** Factory for {@link Sequence} values. */
 exports.seq = ((elementLayout, count, property) => new Sequence(elementLayout, count, property));
 
+/** Factory for {@link TerminatedSequence} values. */
+exports.terminatedSeq = ((elementLayout, terminator, options, property) =>
+  new TerminatedSequence(elementLayout, terminator, options, property));
+
+/** Factory for {@link BoundedSequence} values. */
+exports.boundedSeq = ((elementLayout, length, property) => new BoundedSequence(elementLayout, length, property));
+
+/** Factory for {@link GreedySequence} values. */
+exports.greedySeq = ((elementLayout, options, property) => new GreedySequence(elementLayout, options, property));
+
+/** Factory for {@link Optional} values. */
+exports.optional = ((layout, predicate, property) => new Optional(layout, predicate, property));
+
+/** Factory for {@link Computed} values. */
+exports.computed = ((layout, compute, property) => new Computed(layout, compute, property));
+
 /** Factory for {@link Union} values. */
 exports.union = ((discr, defaultLayout, property) => new Union(discr, defaultLayout, property));
 
@@ -2703,10 +7645,16 @@ exports.unionLayoutDiscriminator = ((layout, property) => new UnionLayoutDiscrim
 exports.blob = ((length, property) => new Blob(length, property));
 
 /** Factory for {@link CString} values. */
-exports.cstr = (property => new CString(property));
+exports.cstr = ((options, property) => new CString(options, property));
 
 /** Factory for {@link UTF8} values. */
 exports.utf8 = ((maxSpan, property) => new UTF8(maxSpan, property));
 
+/** Factory for {@link FixedString} values. */
+exports.fixedStr = ((span, options, property) => new FixedString(span, options, property));
+
+/** Factory for {@link PascalString} values. */
+exports.pstr = ((length, options, property) => new PascalString(length, options, property));
+
 /** Factory for {@link Constant} values. */
 exports.const = ((value, property) => new Constant(value, property));
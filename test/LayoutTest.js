@@ -130,7 +130,39 @@ suite('Layout', function() {
       assert.equal(0xA534, d.decode(b, 2));
     });
     test('invalid ctor', function() {
-      assert.throws(() => new lo.UInt(8), RangeError);
+      assert.throws(() => new lo.UInt('8'), TypeError);
+    });
+    test('wide', function() {
+      const d = lo.uint(7, 't');
+      const b = Buffer.alloc(7);
+      assert(d instanceof lo.UInt);
+      assert.equal(d.span, 7);
+      assert.equal(d.property, 't');
+      assert.equal(d.encode(BigInt('0x0123456789abcd'), b), 7);
+      assert.equal(Buffer.from('cdab8967452301', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), BigInt('0x0123456789abcd'));
+      assert.equal(d.encode(5, b), 7);
+      assert.strictEqual(d.decode(b), BigInt(5));
+      assert.throws(() => d.encode(BigInt(-1), b), RangeError);
+      assert.throws(() => d.encode(BigInt('0x100000000000000'), b), RangeError);
+      assert.throws(() => d.encode(BigInt(1), b, 1), RangeError);
+      assert.throws(() => d.decode(b, 1), RangeError);
+
+      const u128 = lo.u128();
+      const b128 = Buffer.alloc(16);
+      assert.equal(u128.span, 16);
+      const v128 = BigInt('0xffeeddccbbaa99887766554433221100');
+      assert.equal(u128.encode(v128, b128), 16);
+      assert.equal(Buffer.from('00112233445566778899aabbccddeeff', 'hex').compare(b128), 0);
+      assert.strictEqual(u128.decode(b128), v128);
+
+      const u256 = lo.u256();
+      const b256 = Buffer.alloc(32);
+      assert.equal(u256.span, 32);
+      const v256 = (BigInt(1) << BigInt(256)) - BigInt(1);
+      assert.equal(u256.encode(v256, b256), 32);
+      assert.strictEqual(u256.decode(b256), v256);
+      assert.throws(() => u256.encode(v256 + BigInt(1), b256), RangeError);
     });
   });
   suite('UIntBE', function() {
@@ -193,7 +225,27 @@ suite('Layout', function() {
       assert.equal(0x34A5, d.decode(b, 2));
     });
     test('invalid ctor', function() {
-      assert.throws(() => new lo.UIntBE(8), RangeError);
+      assert.throws(() => new lo.UIntBE('8'), TypeError);
+    });
+    test('wide', function() {
+      const d = lo.uintbe(7);
+      const b = Buffer.alloc(7);
+      assert(d instanceof lo.UIntBE);
+      assert.equal(d.encode(BigInt('0x0123456789abcd'), b), 7);
+      assert.equal(Buffer.from('0123456789abcd', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), BigInt('0x0123456789abcd'));
+
+      const u128 = lo.u128be();
+      const b128 = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+      assert.strictEqual(u128.decode(b128), BigInt('0x00112233445566778899aabbccddeeff'));
+      const u256 = lo.u256be();
+      const b256 = Buffer.alloc(34);
+      b256.fill(0xa5);
+      assert.equal(u256.encode(1, b256, 1), 32);
+      assert.equal(b256[0], 0xa5);
+      assert.equal(b256[32], 1);
+      assert.equal(b256[33], 0xa5);
+      assert.strictEqual(u256.decode(b256, 1), BigInt(1));
     });
   });
   suite('Int', function() {
@@ -272,7 +324,30 @@ suite('Layout', function() {
       assert.equal(lo.u48be().decode(b), 0x8720f279b78f);
     });
     test('invalid ctor', function() {
-      assert.throws(() => new lo.Int(8), RangeError);
+      assert.throws(() => new lo.Int('8'), TypeError);
+    });
+    test('wide', function() {
+      const d = lo.int(7);
+      const b = Buffer.alloc(7);
+      assert(d instanceof lo.Int);
+      assert.equal(d.encode(-2, b), 7);
+      assert.equal(Buffer.from('feffffffffffff', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), BigInt(-2));
+      assert.throws(() => d.encode(BigInt('0x80000000000000'), b), RangeError);
+
+      const s128 = lo.s128();
+      const b128 = Buffer.alloc(16);
+      const min = -(BigInt(1) << BigInt(127));
+      assert.equal(s128.encode(min, b128), 16);
+      assert.equal(Buffer.from('00000000000000000000000000000080', 'hex').compare(b128), 0);
+      assert.strictEqual(s128.decode(b128), min);
+      assert.throws(() => s128.encode(min - BigInt(1), b128), RangeError);
+      assert.throws(() => s128.encode(-min, b128), RangeError);
+
+      const s256 = lo.s256();
+      const b256 = Buffer.alloc(32);
+      assert.equal(s256.encode(BigInt(-1), b256), 32);
+      assert.strictEqual(s256.decode(b256), BigInt(-1));
     });
   });
   suite('IntBE', function() {
@@ -345,7 +420,36 @@ suite('Layout', function() {
       assert.equal(lo.u48().decode(b), 0x8720f279b78f);
     });
     test('invalid ctor', function() {
-      assert.throws(() => new lo.IntBE(8, 'u64'), RangeError);
+      assert.throws(() => new lo.IntBE('8', 'u64'), TypeError);
+    });
+    test('wide', function() {
+      const d = lo.intbe(8, 's64');
+      const b = Buffer.from('ff13575556002345', 'hex');
+      assert(d instanceof lo.IntBE);
+      assert.equal(d.property, 's64');
+      assert.strictEqual(d.decode(b), BigInt('-66613545453739195'));
+      assert.equal(d.encode(BigInt(-1), b), 8);
+      assert.equal(Buffer.from('ffffffffffffffff', 'hex').compare(b), 0);
+
+      const s128 = lo.s128be();
+      const b128 = Buffer.alloc(16);
+      assert.equal(s128.encode(-256, b128), 16);
+      assert.equal(Buffer.from('ffffffffffffffffffffffffffffff00', 'hex').compare(b128), 0);
+      assert.strictEqual(s128.decode(b128), BigInt(-256));
+      assert.strictEqual(lo.s256be().decode(Buffer.alloc(32)), BigInt(0));
+    });
+    test('wide in struct', function() {
+      const st = lo.struct([lo.u8('t'), lo.u128('id'), lo.uint(7, 'ts')]);
+      assert.equal(st.span, 1 + 16 + 7);
+      assert.equal(st.offsetOf('ts'), 17);
+      const b = Buffer.alloc(st.span);
+      const src = {t: 1,
+                   id: BigInt('0x0102030405060708090a0b0c0d0e0f10'),
+                   ts: BigInt('0x00ffffffffffff')};
+      assert.equal(st.encode(src, b), st.span);
+      assert.deepEqual(st.decode(b), src);
+      assert(!lo.offset(lo.uint(7)).isCount());
+      assert(lo.offset(lo.u48()).isCount());
     });
   });
   test('RoundedUInt64', function() {
@@ -491,6 +595,117 @@ suite('Layout', function() {
     assert.equal(le.decode(Buffer.from('0000007001000000', 'hex')), 6174015488);
     assert.equal(le.decode(Buffer.from('0000008001000000', 'hex')), 6442450944);
   });
+  test('UInt64', function() {
+    const be = lo.u64be('be');
+    const le = lo.u64('le');
+    assert(be instanceof lo.UInt64BE);
+    assert(le instanceof lo.UInt64);
+    assert(le instanceof lo.Layout);
+    assert.equal(be.span, 8);
+    assert.equal(le.span, 8);
+    assert.equal(be.property, 'be');
+    assert.equal(le.property, 'le');
+
+    const b = Buffer.from('eca8aaa9ffffdcbb', 'hex');
+    const rb = reversedBuffer(b);
+    const v = BigInt('17053067636159536315');
+    const eb = Buffer.alloc(be.span);
+    assert.strictEqual(be.decode(b), v);
+    assert.strictEqual(le.decode(rb), v);
+    assert.equal(be.encode(v, eb), 8);
+    assert.equal(b.compare(eb), 0);
+    assert.equal(le.encode(v, eb), 8);
+    assert.equal(rb.compare(eb), 0);
+
+    const max = BigInt('18446744073709551615');
+    assert.equal(le.encode(max, eb), 8);
+    assert.equal(Buffer.from('ffffffffffffffff', 'hex').compare(eb), 0);
+    assert.strictEqual(le.decode(eb), max);
+    assert.equal(be.encode(0x12345678, eb), 8);
+    assert.equal(Buffer.from('0000000012345678', 'hex').compare(eb), 0);
+    assert.strictEqual(be.decode(eb), BigInt(0x12345678));
+
+    assert.throws(() => le.encode(max + BigInt(1), eb), RangeError);
+    assert.throws(() => be.encode(BigInt(-1), eb), RangeError);
+    assert.throws(() => le.encode(-1, eb), RangeError);
+    assert.throws(() => le.encode(1.5, eb), TypeError);
+    assert.throws(() => le.encode('1', eb),
+                  err => checkError(err, TypeError, /^UInt64.encode\[le\] value/));
+
+    const pb = Buffer.alloc(10);
+    pb.fill(0xa5);
+    le.encode(1, pb, 1);
+    assert.equal(Buffer.from('a50100000000000000a5', 'hex').compare(pb), 0);
+    assert.strictEqual(le.decode(pb, 1), BigInt(1));
+    be.encode(1, pb, 1);
+    assert.equal(Buffer.from('a50000000000000001a5', 'hex').compare(pb), 0);
+    assert.strictEqual(be.decode(pb, 1), BigInt(1));
+  });
+  test('Int64', function() {
+    const be = lo.s64be('be');
+    const le = lo.s64('le');
+    assert(be instanceof lo.Int64BE);
+    assert(le instanceof lo.Int64);
+    assert.equal(be.span, 8);
+    assert.equal(le.span, 8);
+
+    let b = Buffer.from('e26aeaaac0002345', 'hex');
+    let rb = reversedBuffer(b);
+    let v = BigInt('-2131633454519934139');
+    const eb = Buffer.alloc(be.span);
+    assert.strictEqual(be.decode(b), v);
+    assert.strictEqual(le.decode(rb), v);
+    assert.equal(be.encode(v, eb), 8);
+    assert.equal(b.compare(eb), 0);
+    assert.equal(le.encode(v, eb), 8);
+    assert.equal(rb.compare(eb), 0);
+
+    b = Buffer.from('8000000000000000', 'hex');
+    v = BigInt('-9223372036854775808');
+    assert.strictEqual(be.decode(b), v);
+    assert.equal(be.encode(v, eb), 8);
+    assert.equal(b.compare(eb), 0);
+    b = Buffer.from('7fffffffffffffff', 'hex');
+    v = BigInt('9223372036854775807');
+    assert.strictEqual(be.decode(b), v);
+    assert.equal(be.encode(v, eb), 8);
+    assert.equal(b.compare(eb), 0);
+    assert.equal(le.encode(-1, eb), 8);
+    assert.equal(Buffer.from('ffffffffffffffff', 'hex').compare(eb), 0);
+    assert.strictEqual(le.decode(eb), BigInt(-1));
+
+    assert.throws(() => be.encode(v + BigInt(1), eb), RangeError);
+    assert.throws(() => le.encode(-v - BigInt(2), eb), RangeError);
+    assert.throws(() => le.encode(undefined, eb), TypeError);
+  });
+  test('64-bit BigInt in aggregates', function() {
+    const st = lo.struct([lo.u8('tag'), lo.u64('seq'), lo.s64be('ts')]);
+    assert.equal(st.span, 17);
+    assert.equal(st.offsetOf('ts'), 9);
+    const b = Buffer.alloc(st.span);
+    const src = {tag: 3,
+                 seq: BigInt('9007199254740993'),
+                 ts: BigInt('-9007199254740995')};
+    assert.equal(st.encode(src, b), 17);
+    assert.equal(Buffer.from('030100000000002000ffdffffffffffffd', 'hex').compare(b), 0);
+    assert.deepEqual(st.decode(b), src);
+
+    const sq = lo.seq(lo.u64be(), 2);
+    const sb = Buffer.alloc(sq.span);
+    const sv = [BigInt('18446744073709551615'), BigInt('9007199254740993')];
+    assert.equal(sq.encode(sv, sb), 16);
+    assert.deepEqual(sq.decode(sb), sv);
+
+    const un = lo.union(lo.u8('t'), lo.u64('v'));
+    un.addVariant(1, lo.s64(), 's');
+    const ub = Buffer.alloc(un.span);
+    assert.equal(un.span, 9);
+    assert.equal(un.encode({t: 2, v: BigInt('9007199254740993')}, ub), 9);
+    assert.deepEqual(un.decode(ub), {t: 2, v: BigInt('9007199254740993')});
+    assert.equal(un.encode({s: BigInt(-3)}, ub), 9);
+    assert.equal(Buffer.from('01fdffffffffffffff', 'hex').compare(ub), 0);
+    assert.deepEqual(un.decode(ub), {s: BigInt(-3)});
+  });
   test('Float', function() {
     const be = lo.f32be('eff');
     const le = lo.f32('ffe');
@@ -562,6 +777,1140 @@ suite('Layout', function() {
     assert.equal(Buffer.from('a543b12210f4c10f30a5', 'hex').compare(b), 0);
     assert.equal(f, be.decode(b, 1));
   });
+  test('Float16', function() {
+    const be = lo.f16be('hbe');
+    const le = lo.f16('hle');
+    const b = Buffer.alloc(2);
+    assert(be instanceof lo.Float16BE);
+    assert(le instanceof lo.Float16);
+    assert(le instanceof lo.Layout);
+    assert.equal(be.span, 2);
+    assert.equal(le.span, 2);
+    assert.equal(le.property, 'hle');
+
+    function check(v, hex, ev) {
+      assert.equal(le.encode(v, b), 2);
+      assert.equal(Buffer.from(hex, 'hex').compare(reversedBuffer(b)), 0);
+      assert(Object.is(le.decode(b), (undefined === ev) ? v : ev));
+      assert.equal(be.encode(v, b), 2);
+      assert.equal(Buffer.from(hex, 'hex').compare(b), 0);
+      assert(Object.is(be.decode(b), (undefined === ev) ? v : ev));
+    }
+    check(1, '3c00');
+    check(-2, 'c000');
+    check(0, '0000');
+    check(-0, '8000');
+    check(65504, '7bff');
+    check(0.1, '2e66', 0.0999755859375);
+    /* Round to nearest, ties to even */
+    check(1 + Math.pow(2, -11), '3c00', 1);
+    check(1 + 3 * Math.pow(2, -11), '3c02', 1 + Math.pow(2, -9));
+    check(65519.99, '7bff', 65504);
+    check(65520, '7c00', Infinity);
+    /* Subnormals */
+    check(Math.pow(2, -24), '0001');
+    check(Math.pow(2, -14) - Math.pow(2, -24), '03ff');
+    check(Math.pow(2, -25), '0000', 0);
+    check(1.5 * Math.pow(2, -25), '0001', Math.pow(2, -24));
+    check(-Number.MIN_VALUE, '8000', -0);
+    check(Infinity, '7c00');
+    check(-Infinity, 'fc00');
+    check(NaN, '7e00');
+
+    /* NaN payloads survive decode and re-encode */
+    b.writeUInt16BE(0x7d23, 0);
+    assert(Number.isNaN(be.decode(b)));
+    assert.equal(be.encode(be.decode(b), b), 2);
+    assert.equal(b.readUInt16BE(0), 0x7d23);
+    b.writeUInt16LE(0xfe01, 0);
+    assert.equal(le.encode(le.decode(b), b), 2);
+    assert.equal(b.readUInt16LE(0), 0xfe01);
+
+    const pb = Buffer.alloc(4);
+    pb.fill(0xa5);
+    le.encode(1, pb, 1);
+    assert.equal(Buffer.from('a5003ca5', 'hex').compare(pb), 0);
+    assert.equal(le.decode(pb, 1), 1);
+  });
+  test('BFloat16', function() {
+    const be = lo.bf16be('bbe');
+    const le = lo.bf16('ble');
+    const b = Buffer.alloc(2);
+    assert(be instanceof lo.BFloat16BE);
+    assert(le instanceof lo.BFloat16);
+    assert.equal(be.span, 2);
+    assert.equal(le.span, 2);
+
+    function check(v, hex, ev) {
+      assert.equal(le.encode(v, b), 2);
+      assert.equal(Buffer.from(hex, 'hex').compare(reversedBuffer(b)), 0);
+      assert(Object.is(le.decode(b), (undefined === ev) ? v : ev));
+      assert.equal(be.encode(v, b), 2);
+      assert.equal(Buffer.from(hex, 'hex').compare(b), 0);
+      assert(Object.is(be.decode(b), (undefined === ev) ? v : ev));
+    }
+    check(1, '3f80');
+    check(-0, '8000');
+    check(3.140625, '4049');
+    check(Math.PI, '4049', 3.140625);
+    check(1 + Math.pow(2, -8), '3f80', 1);
+    check(1 + 3 * Math.pow(2, -8), '3f82', 1 + Math.pow(2, -6));
+    check(Math.pow(2, -133), '0001');
+    check(3.4028234663852886e38, '7f80', Infinity);
+    check(-Infinity, 'ff80');
+    check(NaN, '7fc0');
+
+    b.writeUInt16BE(0xff81, 0);
+    assert(Number.isNaN(be.decode(b)));
+    assert.equal(be.encode(be.decode(b), b), 2);
+    assert.equal(b.readUInt16BE(0), 0xff81);
+
+    /* The encoding is the upper half of the binary32 encoding */
+    const fb = Buffer.alloc(4);
+    fb.writeFloatBE(-1232, 0);
+    assert.equal(be.decode(fb), -1232);
+  });
+  test('16-bit float sequences', function() {
+    const seq = lo.seq(lo.f16(), 4, 'samples');
+    assert.equal(seq.span, 8);
+    const b = Buffer.alloc(seq.span);
+    assert.equal(seq.encode([0.5, -1.5, 2048, 1e-7], b), 8);
+    assert.equal(Buffer.from('003800be00680200', 'hex').compare(b), 0);
+    assert.deepEqual(seq.decode(b), [0.5, -1.5, 2048, 2 * Math.pow(2, -24)]);
+    const bseq = lo.seq(lo.bf16be(), lo.greedy(2));
+    const bb = Buffer.from('3f80c0404f80', 'hex');
+    assert.deepEqual(bseq.decode(bb), [1, -3, 4294967296]);
+  });
+  suite('FixedPoint', function() {
+    test('invalid ctor', function() {
+      assert.throws(() => new lo.FixedPoint(), TypeError);
+      assert.throws(() => new lo.FixedPoint(lo.f32(), 0, 8), TypeError);
+      assert.throws(() => new lo.FixedPoint(lo.u64(), 0, 8), TypeError);
+      assert.throws(() => new lo.FixedPoint(lo.uint(8), 0, 8), RangeError);
+      assert.throws(() => new lo.FixedPoint(lo.u8(), -1, 8), TypeError);
+      assert.throws(() => new lo.FixedPoint(lo.u8(), 0, 1.5), TypeError);
+      assert.throws(() => new lo.FixedPoint(lo.u8(), 4, 5), RangeError);
+      assert.throws(() => new lo.FixedPoint(lo.s8(), 0, 8), RangeError);
+      assert.throws(() => new lo.FixedPoint(lo.u8(), 0, 0), RangeError);
+      assert.throws(() => new lo.FixedPoint(lo.u8(), 0, 8, {rounding: 'up'}),
+                    TypeError);
+    });
+    test('ctor', function() {
+      const d = lo.fixed(lo.s16(), 7, 8, 'q');
+      assert(d instanceof lo.FixedPoint);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 2);
+      assert.equal(d.property, 'q');
+      assert.equal(d.intBits, 7);
+      assert.equal(d.fracBits, 8);
+      assert.strictEqual(d.signed, true);
+      assert.equal(d.rounding, 'nearest');
+      assert.strictEqual(d.saturate, false);
+      const e = lo.fixed(lo.u32be(), 16, 16, {rounding: 'even', saturate: true}, 'e');
+      assert.equal(e.span, 4);
+      assert.equal(e.property, 'e');
+      assert.strictEqual(e.signed, false);
+      assert.equal(e.rounding, 'even');
+      assert.strictEqual(e.saturate, true);
+    });
+    test('signed', function() {
+      const d = lo.fixed(lo.s16(), 7, 8);
+      const b = Buffer.alloc(2);
+      assert.equal(d.encode(1.5, b), 2);
+      assert.equal(Buffer.from('8001', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), 1.5);
+      assert.equal(d.encode(-1.5, b), 2);
+      assert.equal(Buffer.from('80fe', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), -1.5);
+      assert.equal(d.encode(127.99609375, b), 2);
+      assert.equal(d.decode(b), 127.99609375);
+      assert.equal(d.encode(-128, b), 2);
+      assert.equal(d.decode(b), -128);
+      assert.throws(() => d.encode(128, b), RangeError);
+      assert.throws(() => d.encode(-128.5, b),
+                    err => checkError(err, RangeError, /^FixedPoint.encode value out of range for Q7.8/));
+      assert.throws(() => d.encode('1', b), TypeError);
+      assert.throws(() => d.encode(NaN, b), TypeError);
+
+      const q15 = lo.fixed(lo.s16be(), 0, 15);
+      assert.equal(q15.encode(-1, b), 2);
+      assert.equal(Buffer.from('8000', 'hex').compare(b), 0);
+      assert.equal(q15.encode(0.5, b), 2);
+      assert.equal(Buffer.from('4000', 'hex').compare(b), 0);
+      assert.equal(q15.decode(b), 0.5);
+      assert.throws(() => q15.encode(1, b), RangeError);
+    });
+    test('unsigned', function() {
+      const d = lo.fixed(lo.u32(), 16, 16);
+      const b = Buffer.alloc(4);
+      assert.equal(d.encode(1.25, b), 4);
+      assert.equal(Buffer.from('00400100', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), 1.25);
+      assert.throws(() => d.encode(-0.5, b), RangeError);
+      assert.throws(() => d.encode(65536, b), RangeError);
+      const q4 = lo.fixed(lo.u8(), 2, 4);
+      assert.equal(q4.encode(3.9375, b), 1);
+      assert.equal(b[0], 0x3f);
+      assert.throws(() => q4.encode(4, b), RangeError);
+    });
+    test('rounding', function() {
+      const b = Buffer.alloc(1);
+      function enc(rounding, v) {
+        const d = lo.fixed(lo.s8(), 6, 1, {rounding});
+        d.encode(v, b);
+        return d.decode(b);
+      }
+      assert.equal(enc(undefined, 0.25), 0.5);
+      assert.equal(enc('nearest', 0.25), 0.5);
+      assert.equal(enc('nearest', -0.25), -0.5);
+      assert.equal(enc('nearest', 0.2), 0);
+      assert.equal(enc('even', 0.25), 0);
+      assert.equal(enc('even', 0.75), 1);
+      assert.equal(enc('even', -0.75), -1);
+      assert.equal(enc('even', -0.25), 0);
+      assert.equal(enc('even', 0.3), 0.5);
+      assert.equal(enc('floor', 0.45), 0);
+      assert.equal(enc('floor', -0.05), -0.5);
+      assert.equal(enc('ceil', 0.05), 0.5);
+      assert.equal(enc('ceil', -0.45), 0);
+      assert.equal(enc('trunc', 0.45), 0);
+      assert.equal(enc('trunc', -0.45), 0);
+    });
+    test('saturate', function() {
+      const d = lo.fixed(lo.s8(), 3, 4, {saturate: true});
+      const b = Buffer.alloc(1);
+      assert.equal(d.encode(100, b), 1);
+      assert.equal(b[0], 0x7f);
+      assert.equal(d.decode(b), 7.9375);
+      assert.equal(d.encode(-100, b), 1);
+      assert.equal(b[0], 0x80);
+      assert.equal(d.decode(b), -8);
+      assert.equal(d.encode(-Infinity, b), 1);
+      assert.equal(d.decode(b), -8);
+      assert.throws(() => d.encode(NaN, b), TypeError);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.fixed(lo.s16(), 7, 8, 'temp'),
+                            lo.fixed(lo.u16be(), 8, 8, 'volts')]);
+      assert.equal(st.span, 4);
+      const b = Buffer.alloc(st.span);
+      assert.equal(st.encode({temp: -12.5, volts: 3.3}, b), 4);
+      assert.equal(Buffer.from('80f3034d', 'hex').compare(b), 0);
+      assert.deepEqual(st.decode(b), {temp: -12.5, volts: 3.30078125});
+    });
+  });
+  suite('varint', function() {
+    test('ULEB128', function() {
+      const d = lo.uleb128('v');
+      assert(d instanceof lo.ULEB128);
+      assert(d instanceof lo.Layout);
+      assert(0 > d.span);
+      assert.equal(d.property, 'v');
+      assert.throws(() => d.getSpan(), TypeError);
+      assert.throws(() => d.getSpan(Buffer.from('80', 'hex')), RangeError);
+      const b = Buffer.alloc(10);
+      function check(v, hex) {
+        b.fill(0xa5);
+        assert.equal(d.encode(v, b, 1), hex.length / 2);
+        assert.equal(Buffer.from(hex, 'hex').compare(b.slice(1, 1 + hex.length / 2)), 0);
+        assert.equal(d.getSpan(b, 1), hex.length / 2);
+        assert.strictEqual(d.decode(b, 1), v);
+      }
+      check(0, '00');
+      check(127, '7f');
+      check(128, '8001');
+      check(300, 'ac02');
+      check(624485, 'e58e26');
+      check(Number.MAX_SAFE_INTEGER, 'ffffffffffffff0f');
+      assert.throws(() => d.decode(Buffer.from('ffffffffffffffff1f', 'hex')), RangeError);
+      assert.throws(() => d.encode(-1, b), RangeError);
+      assert.throws(() => d.encode(1.5, b), TypeError);
+      assert.throws(() => d.encode(300, b, 9), RangeError);
+    });
+    test('SLEB128', function() {
+      const d = lo.sleb128('v');
+      assert(d instanceof lo.SLEB128);
+      assert(0 > d.span);
+      const b = Buffer.alloc(10);
+      function check(v, hex) {
+        assert.equal(d.encode(v, b), hex.length / 2);
+        assert.equal(Buffer.from(hex, 'hex').compare(b.slice(0, hex.length / 2)), 0);
+        assert.equal(d.getSpan(b), hex.length / 2);
+        assert.strictEqual(d.decode(b), v);
+      }
+      check(0, '00');
+      check(2, '02');
+      check(-1, '7f');
+      check(63, '3f');
+      check(64, 'c000');
+      check(-64, '40');
+      check(-65, 'bf7f');
+      check(-123456, 'c0bb78');
+      check(Number.MAX_SAFE_INTEGER, 'ffffffffffffff0f');
+      check(-Number.MAX_SAFE_INTEGER, '8180808080808070');
+      assert.throws(() => d.encode(Math.pow(2, 53), b), TypeError);
+    });
+    test('ZigZag', function() {
+      const d = lo.zigzag('v');
+      assert(d instanceof lo.ZigZag);
+      assert(0 > d.span);
+      const b = Buffer.alloc(10);
+      function check(v, hex) {
+        assert.equal(d.encode(v, b), hex.length / 2);
+        assert.equal(Buffer.from(hex, 'hex').compare(b.slice(0, hex.length / 2)), 0);
+        assert.strictEqual(d.decode(b), v);
+      }
+      check(0, '00');
+      check(-1, '01');
+      check(1, '02');
+      check(-2, '03');
+      check(2147483647, 'feffffff0f');
+      check(-2147483648, 'ffffffff0f');
+      assert.throws(() => d.encode(Number.MAX_SAFE_INTEGER, b), RangeError);
+      assert.throws(() => d.encode('1', b), TypeError);
+    });
+    test('VLQ', function() {
+      const d = lo.vlq('v');
+      assert(d instanceof lo.VLQ);
+      assert(0 > d.span);
+      const b = Buffer.alloc(10);
+      function check(v, hex) {
+        assert.equal(d.encode(v, b), hex.length / 2);
+        assert.equal(Buffer.from(hex, 'hex').compare(b.slice(0, hex.length / 2)), 0);
+        assert.equal(d.getSpan(b), hex.length / 2);
+        assert.strictEqual(d.decode(b), v);
+      }
+      check(0, '00');
+      check(0x40, '40');
+      check(0x7F, '7f');
+      check(0x80, '8100');
+      check(0x2000, 'c000');
+      check(0x3FFF, 'ff7f');
+      check(0x4000, '818000');
+      check(0x0FFFFFFF, 'ffffff7f');
+      assert.throws(() => d.encode(-1, b), RangeError);
+    });
+    test('in struct and seq', function() {
+      const st = lo.struct([lo.u8('t'), lo.uleb128('len'), lo.sleb128('delta'), lo.u8('end')]);
+      assert(0 > st.span);
+      const b = Buffer.alloc(8);
+      assert.equal(st.encode({t: 1, len: 300, delta: -65, end: 2}, b), 6);
+      assert.equal(Buffer.from('01ac02bf7f02', 'hex').compare(b.slice(0, 6)), 0);
+      assert.equal(st.getSpan(b), 6);
+      assert.deepEqual(st.decode(b), {t: 1, len: 300, delta: -65, end: 2});
+
+      const seq = lo.seq(lo.vlq(), 3);
+      assert(0 > seq.span);
+      assert.equal(seq.encode([1, 0x80, 0x4000], b), 6);
+      assert.equal(Buffer.from('018100818000', 'hex').compare(b.slice(0, 6)), 0);
+      assert.equal(seq.getSpan(b), 6);
+      assert.deepEqual(seq.decode(b), [1, 0x80, 0x4000]);
+    });
+    test('as count', function() {
+      assert(!lo.offset(lo.uleb128()).isCount());
+      assert(!lo.offset(lo.sleb128()).isCount());
+      assert(!lo.offset(lo.zigzag()).isCount());
+      assert(!lo.offset(lo.vlq()).isCount());
+      assert.throws(() => lo.blob(lo.offset(lo.vlq(), -1)), TypeError);
+
+      /* A varint count goes in a structure field referenced by
+       * sibling, which is rejected when resolved. */
+      const st = lo.struct([lo.u32('hdr'),
+                            lo.vlq('len'),
+                            lo.blob(lo.sibling('len'), 'data')]);
+      const b = Buffer.alloc(210);
+      assert.throws(() => st.encode({hdr: 1, len: 0, data: Buffer.alloc(200, 0xaa)}, b),
+                    TypeError);
+
+      /* A fixed-width count holds 128 or more without disturbing the
+       * data. */
+      const fst = lo.struct([lo.u32('hdr'),
+                             lo.u8('len'),
+                             lo.blob(lo.sibling('len'), 'data')]);
+      const data = Buffer.alloc(200, 0xaa);
+      assert.equal(fst.encode({hdr: 1, data}, b), 205);
+      assert.equal(Buffer.from('01000000c8aa', 'hex').compare(b.slice(0, 6)), 0);
+      assert.deepEqual(fst.decode(b), {hdr: 1, len: 200, data});
+
+      /* Two-byte count stored before the sequence */
+      const seq = lo.seq(lo.u8(), lo.offset(lo.u16(), -2));
+      const src = [];
+      for (let i = 0; 130 > i; ++i) {
+        src.push(i);
+      }
+      assert.equal(seq.encode(src, b, 2), 130);
+      assert.equal(Buffer.from('82000001', 'hex').compare(b.slice(0, 4)), 0);
+      assert.equal(seq.getSpan(b, 2), 130);
+      assert.deepEqual(seq.decode(b, 2), src);
+    });
+  });
+  suite('BCD', function() {
+    test('invalid ctor', function() {
+      assert.throws(() => new lo.BCD(), TypeError);
+      assert.throws(() => new lo.BCD(0), TypeError);
+      assert.throws(() => new lo.BCD(2.5), TypeError);
+      assert.throws(() => new lo.BCD(4, {packed: false, signed: true}), TypeError);
+    });
+    test('ctor', function() {
+      let d = lo.bcd(2, 'sec');
+      assert(d instanceof lo.BCD);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 1);
+      assert.equal(d.property, 'sec');
+      assert.equal(d.digits, 2);
+      assert.strictEqual(d.packed, true);
+      assert.strictEqual(d.lowNibbleFirst, false);
+      assert.strictEqual(d.signed, false);
+      assert.strictEqual(d.asString, false);
+      assert.equal(lo.bcd(3).span, 2);
+      assert.equal(lo.bcd(3, {signed: true}).span, 2);
+      assert.equal(lo.bcd(4, {signed: true}).span, 3);
+      d = lo.bcd(4, {packed: false}, 'u');
+      assert.equal(d.span, 4);
+      assert.equal(d.property, 'u');
+    });
+    test('packed', function() {
+      const d = lo.bcd(4);
+      const b = Buffer.alloc(2);
+      assert.equal(d.encode(1234, b), 2);
+      assert.equal(Buffer.from('1234', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), 1234);
+      assert.equal(d.encode(59, b), 2);
+      assert.equal(Buffer.from('0059', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), 59);
+      assert.equal(d.encode('0042', b), 2);
+      assert.strictEqual(d.decode(b), 42);
+      assert.throws(() => d.encode(10000, b), RangeError);
+      assert.throws(() => d.encode(-1, b), RangeError);
+      assert.throws(() => d.encode(1.5, b), TypeError);
+      assert.throws(() => d.encode('12a4', b), TypeError);
+      assert.throws(() => d.decode(Buffer.from('1a34', 'hex')),
+                    err => checkError(err, RangeError, /invalid digit nibble 10/));
+      assert.throws(() => d.encode(1, b, 1), RangeError);
+
+      const odd = lo.bcd(3);
+      assert.equal(odd.encode(987, b), 2);
+      assert.equal(Buffer.from('0987', 'hex').compare(b), 0);
+      assert.strictEqual(odd.decode(b), 987);
+      assert.throws(() => odd.decode(Buffer.from('1987', 'hex')), RangeError);
+    });
+    test('nibble order', function() {
+      const d = lo.bcd(4, {lowNibbleFirst: true});
+      const b = Buffer.alloc(2);
+      assert.equal(d.encode(1234, b), 2);
+      assert.equal(Buffer.from('2143', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), 1234);
+      const odd = lo.bcd(3, {lowNibbleFirst: true});
+      assert.equal(odd.encode(987, b), 2);
+      assert.equal(Buffer.from('9078', 'hex').compare(b), 0);
+      assert.strictEqual(odd.decode(b), 987);
+    });
+    test('signed', function() {
+      const d = lo.bcd(5, {signed: true});
+      const b = Buffer.alloc(3);
+      assert.equal(d.encode(-12345, b), 3);
+      assert.equal(Buffer.from('12345d', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), -12345);
+      assert.equal(d.encode(678, b), 3);
+      assert.equal(Buffer.from('00678c', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), 678);
+      assert.strictEqual(d.decode(Buffer.from('00678f', 'hex')), 678);
+      assert.strictEqual(d.decode(Buffer.from('00678b', 'hex')), -678);
+      assert.throws(() => d.decode(Buffer.from('006789', 'hex')),
+                    err => checkError(err, RangeError, /invalid sign nibble/));
+      const e = lo.bcd(4, {signed: true});
+      assert.equal(e.encode('-0042', b), 3);
+      assert.equal(Buffer.from('00042d', 'hex').compare(b), 0);
+      assert.throws(() => e.decode(Buffer.from('10042d', 'hex')), RangeError);
+    });
+    test('unpacked', function() {
+      const d = lo.bcd(3, {packed: false});
+      const b = Buffer.alloc(3);
+      b.fill(0xff);
+      assert.equal(d.encode(42, b), 3);
+      assert.equal(Buffer.from('000402', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), 42);
+      assert.throws(() => d.decode(Buffer.from('003402', 'hex')), RangeError);
+      assert.throws(() => d.decode(Buffer.from('00040a', 'hex')), RangeError);
+    });
+    test('as string', function() {
+      const d = lo.bcd(6, {asString: true});
+      const b = Buffer.alloc(3);
+      assert.equal(d.encode(42, b), 3);
+      assert.strictEqual(d.decode(b), '000042');
+      const s = lo.bcd(20, {asString: true, signed: true});
+      const sb = Buffer.alloc(s.span);
+      assert.equal(s.span, 11);
+      assert.equal(s.encode('-12345678901234567890', sb), 11);
+      assert.strictEqual(s.decode(sb), '-12345678901234567890');
+    });
+    test('in struct', function() {
+      /* RTC time registers: seconds, minutes, hours */
+      const st = lo.struct([lo.bcd(2, 'sec'), lo.bcd(2, 'min'), lo.bcd(2, 'hour')]);
+      assert.equal(st.span, 3);
+      assert.equal(st.offsetOf('hour'), 2);
+      const b = Buffer.from('594523', 'hex');
+      assert.deepEqual(st.decode(b), {sec: 59, min: 45, hour: 23});
+      assert.equal(st.encode({sec: 7, min: 30, hour: 9}, b), 3);
+      assert.equal(Buffer.from('073009', 'hex').compare(b), 0);
+    });
+  });
+  suite('Scaled', function() {
+    test('invalid ctor', function() {
+      assert.throws(() => new lo.Scaled(), TypeError);
+      assert.throws(() => new lo.Scaled(lo.u8()), TypeError);
+      assert.throws(() => new lo.Scaled(lo.u8(), 0), TypeError);
+      assert.throws(() => new lo.Scaled(lo.u8(), Infinity), TypeError);
+      assert.throws(() => new lo.Scaled(lo.u8(), 1, NaN), TypeError);
+      assert.throws(() => new lo.Scaled(lo.u8(), 1, 0, {rounding: 'up'}), TypeError);
+    });
+    test('ctor', function() {
+      let d = lo.scaled(lo.u16(), 0.01, -40, 'temp');
+      assert(d instanceof lo.Scaled);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 2);
+      assert.equal(d.property, 'temp');
+      assert.equal(d.scale, 0.01);
+      assert.equal(d.offset, -40);
+      assert.equal(d.rounding, 'nearest');
+      d = lo.scaled(lo.s8('raw'), 2);
+      assert.equal(d.property, 'raw');
+      assert.equal(d.offset, 0);
+      d = lo.scaled(lo.f32(), 1.8, 32);
+      assert.equal(d.rounding, 'none');
+      d = lo.scaled(lo.u8(), 0.5, 0, {rounding: 'floor'}, 'v');
+      assert.equal(d.rounding, 'floor');
+      assert.equal(d.property, 'v');
+    });
+    test('codec', function() {
+      const d = lo.scaled(lo.u16(), 0.01, -40);
+      const b = Buffer.alloc(2);
+      assert.equal(d.encode(25.5, b), 2);
+      assert.equal(b.readUInt16LE(0), 6550);
+      assert(1e-9 > Math.abs(d.decode(b) - 25.5));
+      assert.equal(d.encode(-40, b), 2);
+      assert.equal(b.readUInt16LE(0), 0);
+      assert.equal(d.decode(b), -40);
+      assert.equal(d.encode(25.504, b), 2);
+      assert.equal(b.readUInt16LE(0), 6550);
+      assert.equal(d.encode(25.506, b), 2);
+      assert.equal(b.readUInt16LE(0), 6551);
+      assert.throws(() => d.encode(-41, b));
+      assert.throws(() => d.encode('1', b), TypeError);
+      assert.throws(() => d.encode(NaN, b), TypeError);
+
+      const f = lo.scaled(lo.u8(), 0.5, 0, {rounding: 'floor'});
+      assert.equal(f.encode(3.9, b), 1);
+      assert.equal(b[0], 7);
+      assert.equal(f.decode(b), 3.5);
+
+      const e = lo.scaled(lo.s16be(), 0.5, 100, {rounding: 'even'});
+      assert.equal(e.encode(100.25, b), 2);
+      assert.equal(b.readInt16BE(0), 0);
+      assert.equal(e.encode(100.75, b), 2);
+      assert.equal(b.readInt16BE(0), 2);
+
+      const fp = lo.scaled(lo.f32(), 1.8, 32);
+      const fb = Buffer.alloc(4);
+      assert.equal(fp.encode(212, fb), 4);
+      assert.equal(fb.readFloatLE(0), 100);
+      assert(1e-4 > Math.abs(fp.decode(fb) - 212));
+    });
+    test('span', function() {
+      const st = lo.struct([lo.u8('id'),
+                            lo.scaled(lo.u16(), 0.1, 0, 'volts'),
+                            lo.scaled(lo.uleb128(), 1000, 0, 'ms'),
+                            lo.u8('end')]);
+      assert(0 > st.span);
+      assert.equal(st.offsetOf('volts'), 1);
+      const b = Buffer.alloc(8);
+      assert.equal(st.encode({id: 1, volts: 3.3, ms: 300000, end: 2}, b), 1 + 2 + 2 + 1);
+      assert.equal(Buffer.from('012100ac0202', 'hex').compare(b.slice(0, 6)), 0);
+      assert.equal(st.getSpan(b), 6);
+      const v = st.decode(b);
+      assert(1e-9 > Math.abs(v.volts - 3.3));
+      assert.equal(v.ms, 300000);
+
+      const fixed = lo.struct([lo.u8('id'), lo.scaled(lo.s16(), 0.5, 0, 't'), lo.u8('x')]);
+      assert.equal(fixed.span, 4);
+      assert.equal(fixed.offsetOf('x'), 3);
+    });
+  });
+  suite('Enumeration', function() {
+    const COLORS = {red: 1, green: 2, blue: 4};
+    test('invalid ctor', function() {
+      assert.throws(() => new lo.Enumeration(), TypeError);
+      assert.throws(() => new lo.Enumeration(lo.f32(), COLORS), TypeError);
+      assert.throws(() => new lo.Enumeration(lo.u64(), COLORS), TypeError);
+      assert.throws(() => new lo.Enumeration(lo.uint(8), COLORS), RangeError);
+      assert.throws(() => new lo.Enumeration(lo.u8()), TypeError);
+      assert.throws(() => new lo.Enumeration(lo.u8(), {a: 1.5}), TypeError);
+      assert.throws(() => new lo.Enumeration(lo.u8(), {a: 1, b: 1}),
+                    err => checkError(err, Error, /value 1 has names a and b/));
+      assert.throws(() => new lo.Enumeration(lo.u8(), COLORS, {unknown: 'keep'}), TypeError);
+      assert.throws(() => new lo.Enumeration(lo.u8(), COLORS, {unknown: 'sentinel'}), TypeError);
+    });
+    test('ctor', function() {
+      let d = lo.enumeration(lo.u8(), COLORS, 'color');
+      assert(d instanceof lo.Enumeration);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 1);
+      assert.equal(d.property, 'color');
+      assert.equal(d.unknown, 'throw');
+      assert.deepEqual(d.values, COLORS);
+      assert.notStrictEqual(d.values, COLORS);
+      assert.deepEqual(d.names, {1: 'red', 2: 'green', 4: 'blue'});
+      d = lo.enumeration(lo.u16be('c'), COLORS, {unknown: 'sentinel', sentinel: null});
+      assert.equal(d.span, 2);
+      assert.equal(d.property, 'c');
+      assert.equal(d.unknown, 'sentinel');
+      assert.strictEqual(d.sentinel, null);
+    });
+    test('codec', function() {
+      const d = lo.enumeration(lo.s16(), {neg: -1, zero: 0, big: 1000});
+      const b = Buffer.alloc(2);
+      assert.equal(d.encode('neg', b), 2);
+      assert.equal(Buffer.from('ffff', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), 'neg');
+      assert.equal(d.encode(1000, b), 2);
+      assert.equal(d.decode(b), 'big');
+      assert.throws(() => d.encode('constructor', b),
+                    err => checkError(err, RangeError, /unrecognized name constructor/));
+      assert.throws(() => d.encode(3, b), RangeError);
+      assert.throws(() => d.encode(true, b), TypeError);
+      b.writeInt16LE(3, 0);
+      assert.throws(() => d.decode(b),
+                    err => checkError(err, RangeError, /unrecognized value 3/));
+    });
+    test('unknown policies', function() {
+      const b = Buffer.from('03', 'hex');
+      const num = lo.enumeration(lo.u8(), COLORS, {unknown: 'number'});
+      assert.strictEqual(num.decode(b), 3);
+      assert.equal(num.encode(7, b), 1);
+      assert.equal(b[0], 7);
+      assert.equal(num.encode('blue', b), 1);
+      assert.equal(num.decode(b), 'blue');
+
+      const sen = lo.enumeration(lo.u8(), COLORS, {unknown: 'sentinel', sentinel: 'other'});
+      b[0] = 9;
+      assert.equal(sen.decode(b), 'other');
+      assert.throws(() => sen.encode('other', b),
+                    err => checkError(err, RangeError, /cannot encode sentinel/));
+      assert.throws(() => sen.encode(9, b), RangeError);
+      assert.equal(sen.encode('red', b), 1);
+      assert.equal(b[0], 1);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.enumeration(lo.u8(), COLORS, 'fg'),
+                            lo.enumeration(lo.u8(), COLORS, 'bg')]);
+      const b = Buffer.alloc(2);
+      assert.equal(st.encode({fg: 'red', bg: 4}, b), 2);
+      assert.equal(Buffer.from('0104', 'hex').compare(b), 0);
+      assert.deepEqual(st.decode(b), {fg: 'red', bg: 'blue'});
+    });
+    test('in bit structure', function() {
+      const bs = lo.bits(lo.u8());
+      const mode = bs.addEnumeration(2, {off: 0, on: 1, auto: 2}, 'mode');
+      const lvl = bs.addEnumeration(3, {low: 0, high: 7}, {unknown: 'number'}, 'level');
+      bs.addBoolean('flag');
+      assert(mode instanceof lo.BitEnumeration);
+      assert(mode instanceof lo.BitField);
+      assert.equal(mode.bits, 2);
+      assert.equal(mode.unknown, 'throw');
+      assert.equal(lvl.property, 'level');
+      const b = Buffer.alloc(1);
+      assert.equal(bs.encode({mode: 'auto', level: 3, flag: true}, b), 1);
+      assert.equal(b[0], 0x2E);
+      assert.deepEqual(bs.decode(b), {mode: 'auto', level: 3, flag: true});
+      assert.equal(bs.encode({mode: 1, level: 'high', flag: false}, b), 1);
+      assert.equal(b[0], 0x1D);
+      assert.deepEqual(bs.decode(b), {mode: 'on', level: 'high', flag: false});
+      b[0] = 0x03;
+      assert.throws(() => bs.decode(b), RangeError);
+      assert.throws(() => bs.encode({mode: 'standby'}, b), RangeError);
+      assert.throws(() => bs.encode({mode: 3}, b), RangeError);
+    });
+  });
+  suite('FlagSet', function() {
+    const FLAGS = {fin: 0, syn: 1, rst: 2, ack: 4};
+    test('invalid ctor', function() {
+      assert.throws(() => new lo.FlagSet(), TypeError);
+      assert.throws(() => new lo.FlagSet(lo.s8(), FLAGS), TypeError);
+      assert.throws(() => new lo.FlagSet(lo.u48(), FLAGS), RangeError);
+      assert.throws(() => new lo.FlagSet(lo.u8()), TypeError);
+      assert.throws(() => new lo.FlagSet(lo.u8(), {a: 8}), RangeError);
+      assert.throws(() => new lo.FlagSet(lo.u8(), {a: -1}), RangeError);
+      assert.throws(() => new lo.FlagSet(lo.u8(), {a: 1, b: 1}),
+                    err => checkError(err, Error, /bit 1 has names a and b/));
+      assert.throws(() => new lo.FlagSet(lo.u8(), FLAGS, {unknown: 'keep'}), TypeError);
+    });
+    test('ctor', function() {
+      let d = lo.flags(lo.u8(), FLAGS, 'tcp');
+      assert(d instanceof lo.FlagSet);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 1);
+      assert.equal(d.property, 'tcp');
+      assert.deepEqual(d.flags, FLAGS);
+      assert.strictEqual(d.asSet, false);
+      assert.equal(d.unknown, 'ignore');
+      assert.equal(d.unknownProperty, 'unknownBits');
+      d = lo.flags(lo.u32be('f'), {top: 31}, {set: true, unknown: 'preserve', unknownProperty: 'rsvd'});
+      assert.equal(d.span, 4);
+      assert.equal(d.property, 'f');
+      assert.strictEqual(d.asSet, true);
+      assert.equal(d.unknown, 'preserve');
+      assert.equal(d.unknownProperty, 'rsvd');
+    });
+    test('codec', function() {
+      const d = lo.flags(lo.u8(), FLAGS);
+      const b = Buffer.alloc(1);
+      assert.equal(d.encode(['ack', 'syn'], b), 1);
+      assert.equal(b[0], 0x12);
+      assert.deepEqual(d.decode(b), ['syn', 'ack']);
+      assert.equal(d.encode(new Set(['fin']), b), 1);
+      assert.equal(b[0], 0x01);
+      assert.equal(d.encode([], b), 1);
+      assert.equal(b[0], 0);
+      assert.deepEqual(d.decode(b), []);
+      assert.throws(() => d.encode(['urg'], b),
+                    err => checkError(err, RangeError, /unrecognized flag urg/));
+      assert.throws(() => d.encode('fin', b), TypeError);
+      assert.throws(() => d.encode(3, b), TypeError);
+      b[0] = 0xE5;
+      assert.deepEqual(d.decode(b), ['fin', 'rst']);
+    });
+    test('as Set', function() {
+      const d = lo.flags(lo.u16be(), {lo: 0, hi: 15}, {set: true});
+      const b = Buffer.from('8001', 'hex');
+      const v = d.decode(b);
+      assert(v instanceof Set);
+      assert.deepEqual(Array.from(v), ['lo', 'hi']);
+      v.delete('lo');
+      assert.equal(d.encode(v, b), 2);
+      assert.equal(Buffer.from('8000', 'hex').compare(b), 0);
+    });
+    test('unknown bits', function() {
+      const b = Buffer.from('e5', 'hex');
+      const strict = lo.flags(lo.u8(), FLAGS, {unknown: 'throw'});
+      assert.throws(() => strict.decode(b),
+                    err => checkError(err, RangeError, /unrecognized bits 0xe0/));
+      b[0] = 0x15;
+      assert.deepEqual(strict.decode(b), ['fin', 'rst', 'ack']);
+
+      const keep = lo.flags(lo.u8(), FLAGS, {unknown: 'preserve'});
+      b[0] = 0xE5;
+      const v = keep.decode(b);
+      assert.deepEqual(Array.from(v), ['fin', 'rst']);
+      assert.equal(v.unknownBits, 0xE0);
+      b[0] = 0;
+      assert.equal(keep.encode(v, b), 1);
+      assert.equal(b[0], 0xE5);
+      assert.equal(keep.encode(['syn'], b), 1);
+      assert.equal(b[0], 0x02);
+      const bad = ['syn'];
+      bad.unknownBits = 0x01;
+      assert.throws(() => keep.encode(bad, b), RangeError);
+
+      const sk = lo.flags(lo.u32(), {top: 31}, {set: true, unknown: 'preserve'});
+      const wb = Buffer.from('01000080', 'hex');
+      const sv = sk.decode(wb);
+      assert(sv.has('top'));
+      assert.equal(sv.unknownBits, 1);
+      wb.fill(0);
+      assert.equal(sk.encode(sv, wb), 4);
+      assert.equal(Buffer.from('01000080', 'hex').compare(wb), 0);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.u8('id'), lo.flags(lo.u16(), {a: 0, b: 9}, 'f')]);
+      const b = Buffer.alloc(3);
+      assert.equal(st.encode({id: 7, f: ['b']}, b), 3);
+      assert.equal(Buffer.from('070002', 'hex').compare(b), 0);
+      assert.deepEqual(st.decode(b), {id: 7, f: ['b']});
+    });
+  });
+  suite('Bool', function() {
+    test('invalid ctor', function() {
+      assert.throws(() => new lo.Bool(), TypeError);
+      assert.throws(() => new lo.Bool(lo.s8()), TypeError);
+      assert.throws(() => new lo.Bool(lo.uint(8)), RangeError);
+      assert.throws(() => new lo.Bool(lo.u8(), {trueValue: 0}), RangeError);
+      assert.throws(() => new lo.Bool(lo.u8(), {trueValue: 256}), RangeError);
+      assert.throws(() => new lo.Bool(lo.u8(), {trueValue: 'all'}), RangeError);
+    });
+    test('ctor', function() {
+      let d = lo.bool(lo.u8(), 'b');
+      assert(d instanceof lo.Bool);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 1);
+      assert.equal(d.property, 'b');
+      assert.strictEqual(d.strict, false);
+      assert.equal(d.trueValue, 1);
+      d = lo.bool(lo.u32be('en'), {strict: true, trueValue: 'ones'});
+      assert.equal(d.span, 4);
+      assert.equal(d.property, 'en');
+      assert.strictEqual(d.strict, true);
+      assert.equal(d.trueValue, 0xFFFFFFFF);
+      d = lo.bool(lo.u16(), {trueValue: 0xFF});
+      assert.equal(d.trueValue, 0xFF);
+    });
+    test('codec', function() {
+      const d = lo.bool(lo.u32());
+      const b = Buffer.alloc(4);
+      assert.equal(d.encode(true, b), 4);
+      assert.equal(Buffer.from('01000000', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), true);
+      assert.equal(d.encode(false, b), 4);
+      assert.equal(Buffer.from('00000000', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), false);
+      b.writeUInt32LE(0x80000000, 0);
+      assert.strictEqual(d.decode(b), true);
+      assert.throws(() => d.encode(1, b), TypeError);
+
+      const ff = lo.bool(lo.u8(), {trueValue: 0xFF});
+      assert.equal(ff.encode(true, b), 1);
+      assert.equal(b[0], 0xFF);
+
+      const ones = lo.bool(lo.u16be(), {trueValue: 'ones'});
+      assert.equal(ones.encode(true, b), 2);
+      assert.equal(Buffer.from('ffff', 'hex').compare(b.slice(0, 2)), 0);
+    });
+    test('strict', function() {
+      const d = lo.bool(lo.u8(), {strict: true});
+      const b = Buffer.from('02', 'hex');
+      assert.throws(() => d.decode(b),
+                    err => checkError(err, RangeError, /invalid value 2/));
+      b[0] = 1;
+      assert.strictEqual(d.decode(b), true);
+      b[0] = 0;
+      assert.strictEqual(d.decode(b), false);
+
+      const ff = lo.bool(lo.u8(), {strict: true, trueValue: 0xFF});
+      b[0] = 1;
+      assert.throws(() => ff.decode(b), RangeError);
+      b[0] = 0xFF;
+      assert.strictEqual(ff.decode(b), true);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.bool(lo.u8(), 'on'), lo.u16('v')]);
+      const b = Buffer.alloc(3);
+      assert.equal(st.encode({on: true, v: 5}, b), 3);
+      assert.equal(Buffer.from('010500', 'hex').compare(b), 0);
+      assert.deepEqual(st.decode(b), {on: true, v: 5});
+    });
+  });
+  suite('Timestamp', function() {
+    const Y2020 = new Date(Date.UTC(2020, 0, 1));
+    test('UnixTime', function() {
+      assert.throws(() => new lo.UnixTime(), TypeError);
+      assert.throws(() => new lo.UnixTime(lo.f64()), TypeError);
+      assert.throws(() => new lo.UnixTime(lo.u64()), TypeError);
+      assert.throws(() => new lo.UnixTime(lo.u32(), 60), RangeError);
+      let d = lo.unixTime(lo.u32(), 't');
+      assert(d instanceof lo.UnixTime);
+      assert(d instanceof lo.Timestamp);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 4);
+      assert.equal(d.property, 't');
+      assert.equal(d.epoch.getTime(), 0);
+      assert.equal(d.resolution, 1);
+      const b = Buffer.alloc(8);
+      assert.equal(d.encode(new Date(Y2020.getTime() + 999), b), 4);
+      assert.equal(Buffer.from('00e10b5e', 'hex').compare(b.slice(0, 4)), 0);
+      assert.equal(d.decode(b).getTime(), Y2020.getTime());
+      assert.throws(() => d.encode(Y2020.getTime(), b), TypeError);
+      assert.throws(() => d.encode(new Date(NaN), b), TypeError);
+
+      d = lo.unixTime(lo.s32be(), 'when');
+      assert.equal(d.encode(new Date(-1500), b), 4);
+      assert.equal(Buffer.from('fffffffe', 'hex').compare(b.slice(0, 4)), 0);
+      assert.equal(d.decode(b).getTime(), -2000);
+
+      d = lo.unixTime(lo.nu64(), 0.001);
+      assert.equal(d.span, 8);
+      assert.equal(d.resolution, 0.001);
+      const t = new Date(Y2020.getTime() + 123);
+      assert.equal(d.encode(t, b), 8);
+      assert.equal(b.readUInt32LE(0), (t.getTime() % 0x100000000));
+      assert.equal(d.decode(b).getTime(), t.getTime());
+    });
+    test('NTPTime', function() {
+      const d = lo.ntpTime('ref');
+      assert(d instanceof lo.NTPTime);
+      assert(d instanceof lo.Timestamp);
+      assert.equal(d.span, 8);
+      assert.equal(d.property, 'ref');
+      assert.equal(d.epoch.toISOString(), '1900-01-01T00:00:00.000Z');
+      assert.equal(d.resolution, Math.pow(2, -32));
+      const ns = BigInt(Y2020.getTime()) * BigInt(1e6);
+      const b = Buffer.alloc(8);
+      assert.equal(d.encode(ns + BigInt(5e8), b), 8);
+      assert.equal(Buffer.from('e1b65f8080000000', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), ns + BigInt(5e8));
+      assert.equal(d.encode(ns + BigInt(1), b), 8);
+      assert.equal(Buffer.from('e1b65f8000000004', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), ns + BigInt(1));
+      assert.equal(d.encode(ns - BigInt(1), b), 8);
+      assert.equal(Buffer.from('e1b65f7ffffffffc', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), ns - BigInt(1));
+      assert.equal(d.encode(BigInt(-2208988800) * BigInt(1e9), b), 8);
+      assert.equal(Buffer.from('0000000000000000', 'hex').compare(b), 0);
+      assert.throws(() => d.encode(BigInt(-2208988801) * BigInt(1e9), b), RangeError);
+      assert.throws(() => d.encode(BigInt(2086) * BigInt(1e18), b), RangeError);
+      assert.throws(() => d.encode(Y2020, b), TypeError);
+    });
+    test('FileTime', function() {
+      const d = lo.fileTime('mtime');
+      assert(d instanceof lo.FileTime);
+      assert(d instanceof lo.Timestamp);
+      assert.equal(d.span, 8);
+      assert.equal(d.property, 'mtime');
+      assert.equal(d.epoch.toISOString(), '1601-01-01T00:00:00.000Z');
+      assert.equal(d.resolution, 1e-7);
+      const ns = BigInt(Y2020.getTime()) * BigInt(1e6);
+      const b = Buffer.alloc(8);
+      assert.equal(d.encode(ns + BigInt(199), b), 8);
+      assert.equal(Buffer.from('0100056936c0d501', 'hex').compare(b), 0);
+      assert.strictEqual(d.decode(b), ns + BigInt(100));
+      assert.equal(d.encode(BigInt('-11644473600000000000'), b), 8);
+      assert.equal(Buffer.from('0000000000000000', 'hex').compare(b), 0);
+      assert.throws(() => d.encode(BigInt('-11644473600000000001'), b), RangeError);
+      assert.throws(() => d.encode(1.5, b), TypeError);
+    });
+    test('GPSTime', function() {
+      assert.throws(() => new lo.GPSTime({week: lo.s16()}), TypeError);
+      assert.throws(() => new lo.GPSTime({leapSeconds: 1.5}), TypeError);
+      let d = lo.gpsTime('gps');
+      assert(d instanceof lo.GPSTime);
+      assert(d instanceof lo.Timestamp);
+      assert.equal(d.span, 6);
+      assert.equal(d.property, 'gps');
+      assert.equal(d.epoch.toISOString(), '1980-01-06T00:00:00.000Z');
+      assert.equal(d.resolution, 1);
+      assert.equal(d.leapSeconds, 0);
+      const b = Buffer.alloc(6);
+      assert.equal(d.encode(Y2020, b), 6);
+      assert.equal(Buffer.from('260880f40300', 'hex').compare(b), 0);
+      assert.equal(d.decode(b).getTime(), Y2020.getTime());
+      assert.throws(() => d.encode(new Date(Date.UTC(1980, 0, 5)), b), RangeError);
+
+      d = lo.gpsTime({leapSeconds: 18, week: lo.u16be(), seconds: lo.u32be()});
+      assert.equal(d.leapSeconds, 18);
+      assert.equal(d.encode(Y2020, b), 6);
+      assert.equal(Buffer.from('08260003f492', 'hex').compare(b), 0);
+      assert.equal(d.decode(b).getTime(), Y2020.getTime());
+    });
+    test('DOSDateTime', function() {
+      const d = lo.dosDateTime('mod');
+      assert(d instanceof lo.DOSDateTime);
+      assert(d instanceof lo.Timestamp);
+      assert(d.fields instanceof lo.BitStructure);
+      assert.equal(d.span, 4);
+      assert.equal(d.property, 'mod');
+      assert.equal(d.epoch.toISOString(), '1980-01-01T00:00:00.000Z');
+      assert.equal(d.resolution, 2);
+      const b = Buffer.alloc(4);
+      assert.equal(d.encode(new Date(Date.UTC(2020, 1, 29, 12, 34, 57, 500)), b), 4);
+      assert.equal(Buffer.from('5c645d50', 'hex').compare(b), 0);
+      assert.equal(d.decode(b).toISOString(), '2020-02-29T12:34:56.000Z');
+      assert.equal(d.encode(d.epoch, b), 4);
+      assert.equal(Buffer.from('00002100', 'hex').compare(b), 0);
+      assert.throws(() => d.encode(new Date(Date.UTC(1979, 11, 31)), b), RangeError);
+      assert.throws(() => d.encode(new Date(Date.UTC(2108, 0, 1)), b), RangeError);
+      b.fill(0);
+      assert.throws(() => d.decode(b),
+                    err => checkError(err, RangeError, /invalid date or time/));
+      assert.throws(() => d.decode(Buffer.from('00005e50', 'hex')), RangeError);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.u8('id'),
+                            lo.unixTime(lo.u32be(), 'created'),
+                            lo.fileTime('modified')]);
+      assert.equal(st.span, 13);
+      const b = Buffer.alloc(st.span);
+      const src = {id: 3, created: Y2020, modified: BigInt(Y2020.getTime()) * BigInt(1e6)};
+      assert.equal(st.encode(src, b), 13);
+      assert.deepEqual(st.decode(b), src);
+    });
+  });
+  suite('Address', function() {
+    test('IPv4', function() {
+      const d = lo.ipv4('src');
+      assert(d instanceof lo.IPv4);
+      assert(d instanceof lo.Address);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 4);
+      assert.equal(d.property, 'src');
+      assert.strictEqual(d.reversed, false);
+      const b = Buffer.alloc(4);
+      assert.equal(d.encode('192.168.1.254', b), 4);
+      assert.equal(Buffer.from('c0a801fe', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), '192.168.1.254');
+      assert.equal(d.encode('0.0.0.0', b), 4);
+      assert.equal(d.decode(b), '0.0.0.0');
+      for (const t of ['1.2.3', '1.2.3.4.5', '1.2.3.256', '01.2.3.4', '1.2.3.-4', ' 1.2.3.4']) {
+        assert.throws(() => d.encode(t, b),
+                      err => checkError(err, TypeError, /IPv4.encode\[src\] invalid address/));
+      }
+      assert.throws(() => d.encode(0x01020304, b), TypeError);
+      assert.throws(() => d.encode('1.2.3.4', b, 1), RangeError);
+      assert.throws(() => d.decode(b, 1), RangeError);
+
+      const r = lo.ipv4({reversed: true});
+      assert.strictEqual(r.reversed, true);
+      assert.equal(r.encode('10.0.0.1', b), 4);
+      assert.equal(Buffer.from('0100000a', 'hex').compare(b), 0);
+      assert.equal(r.decode(b), '10.0.0.1');
+    });
+    test('IPv6', function() {
+      const d = lo.ipv6();
+      assert(d instanceof lo.IPv6);
+      assert(d instanceof lo.Address);
+      assert.equal(d.span, 16);
+      const b = Buffer.alloc(16);
+      assert.equal(d.encode('2001:0DB8:0000:0000:0001:0000:0000:0001', b), 16);
+      assert.equal(Buffer.from('20010db8000000000001000000000001', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), '2001:db8::1:0:0:1');
+      const canon = [
+        ['::', '::'],
+        ['::1', '::1'],
+        ['1::', '1::'],
+        ['1:2:3:4:5:6:7:8', '1:2:3:4:5:6:7:8'],
+        ['2001:db8:0:1:1:1:1:1', '2001:db8:0:1:1:1:1:1'],
+        ['1:0:0:2:0:0:0:3', '1:0:0:2::3'],
+        ['fe80::0:abcd', 'fe80::abcd'],
+        ['::ffff:192.0.2.1', '::ffff:192.0.2.1'],
+        ['::ffff:c000:201', '::ffff:192.0.2.1'],
+        ['::192.0.2.1', '::c000:201'],
+        ['1:2:3:4:5:6:1.2.3.4', '1:2:3:4:5:6:102:304'],
+      ];
+      for (const [text, exp] of canon) {
+        assert.equal(d.encode(text, b), 16);
+        assert.equal(d.decode(b), exp);
+      }
+      for (const t of ['1::2::3', '1:2:3:4:5:6:7:8:9', '1:2:3:4:5:6:7::8', ':1::',
+                       '12345::', 'fe80::1%eth0', '::1.2.3', '1.2.3.4::', '1:2:3:4:5:6:7']) {
+        assert.throws(() => d.encode(t, b), TypeError);
+      }
+    });
+    test('EUI', function() {
+      assert.throws(() => new lo.EUI(4), RangeError);
+      const d = lo.mac('addr');
+      assert(d instanceof lo.EUI);
+      assert(d instanceof lo.Address);
+      assert.equal(d.span, 6);
+      assert.equal(d.property, 'addr');
+      const b = Buffer.alloc(8);
+      assert.equal(d.encode('00:1A:2b:3c:4D:5e', b), 6);
+      assert.equal(Buffer.from('001a2b3c4d5e', 'hex').compare(b.slice(0, 6)), 0);
+      assert.equal(d.decode(b), '00:1a:2b:3c:4d:5e');
+      assert.equal(d.encode('01-02-03-04-05-06', b), 6);
+      assert.equal(d.decode(b), '01:02:03:04:05:06');
+      for (const t of ['01:02:03:04:05', '01:02:03:04:05:06:07', '01:02-03:04:05:06',
+                       '1:2:3:4:5:6', '010203040506', '01:02:03:04:05:0g']) {
+        assert.throws(() => d.encode(t, b), TypeError);
+      }
+
+      const ble = lo.eui48({reversed: true}, 'bdaddr');
+      assert.equal(ble.property, 'bdaddr');
+      assert.equal(ble.encode('c0:ff:ee:00:11:22', b), 6);
+      assert.equal(Buffer.from('221100eeffc0', 'hex').compare(b.slice(0, 6)), 0);
+      assert.equal(ble.decode(b), 'c0:ff:ee:00:11:22');
+
+      const e64 = lo.eui64();
+      assert.equal(e64.span, 8);
+      assert.equal(e64.encode('00-11-22-FF-FE-33-44-55', b), 8);
+      assert.equal(Buffer.from('001122fffe334455', 'hex').compare(b), 0);
+      assert.equal(e64.decode(b), '00:11:22:ff:fe:33:44:55');
+      assert.throws(() => e64.encode('00:11:22:33:44:55', b), TypeError);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.mac('dst'), lo.mac('src'), lo.u16be('type'),
+                            lo.ipv4('ip')]);
+      assert.equal(st.span, 18);
+      const b = Buffer.alloc(st.span);
+      const src = {dst: 'ff:ff:ff:ff:ff:ff', src: '02:00:00:00:00:01', type: 0x0800, ip: '10.1.2.3'};
+      assert.equal(st.encode(src, b), 18);
+      assert.equal(Buffer.from('ffffffffffff0200000000010800', 'hex').compare(b.slice(0, 14)), 0);
+      assert.deepEqual(st.decode(b), src);
+    });
+  });
+  suite('UUID', function() {
+    const TEXT = '00112233-4455-6677-8899-aabbccddeeff';
+    test('ctor', function() {
+      assert.throws(() => new lo.UUID({byteOrder: 'be'}), TypeError);
+      let d = lo.uuid('id');
+      assert(d instanceof lo.UUID);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 16);
+      assert.equal(d.property, 'id');
+      assert.equal(d.byteOrder, 'rfc4122');
+      d = lo.uuid({byteOrder: 'guid'}, 'clsid');
+      assert.equal(d.byteOrder, 'guid');
+      assert.equal(d.property, 'clsid');
+    });
+    test('byte orders', function() {
+      const b = Buffer.alloc(16);
+      const rfc = lo.uuid();
+      assert.equal(rfc.encode(TEXT.toUpperCase(), b), 16);
+      assert.equal(Buffer.from('00112233445566778899aabbccddeeff', 'hex').compare(b), 0);
+      assert.equal(rfc.decode(b), TEXT);
+
+      const le = lo.uuid({byteOrder: 'le'});
+      assert.equal(le.encode(TEXT, b), 16);
+      assert.equal(Buffer.from('ffeeddccbbaa99887766554433221100', 'hex').compare(b), 0);
+      assert.equal(le.decode(b), TEXT);
+
+      const guid = lo.uuid({byteOrder: 'guid'});
+      assert.equal(guid.encode(TEXT, b), 16);
+      assert.equal(Buffer.from('33221100554477668899aabbccddeeff', 'hex').compare(b), 0);
+      assert.equal(guid.decode(b), TEXT);
+    });
+    test('invalid', function() {
+      const d = lo.uuid();
+      const b = Buffer.alloc(16);
+      for (const t of ['00112233445566778899aabbccddeeff', '{' + TEXT + '}',
+                       TEXT.slice(1), TEXT.replace('a', 'g'), 17]) {
+        assert.throws(() => d.encode(t, b),
+                      err => checkError(err, TypeError, /UUID.encode invalid UUID/));
+      }
+      assert.throws(() => d.encode(TEXT, b, 1), RangeError);
+      assert.throws(() => d.decode(b, 1), RangeError);
+    });
+    test('ShortUUID', function() {
+      assert.throws(() => new lo.ShortUUID(3), RangeError);
+      const d = lo.uuid16('svc');
+      assert(d instanceof lo.ShortUUID);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 2);
+      assert.equal(d.property, 'svc');
+      const b = Buffer.alloc(4);
+      assert.equal(d.encode('0000180D-0000-1000-8000-00805F9B34FB', b), 2);
+      assert.equal(Buffer.from('0d18', 'hex').compare(b.slice(0, 2)), 0);
+      assert.equal(d.decode(b), '0000180d-0000-1000-8000-00805f9b34fb');
+      assert.equal(d.encode(0x2a37, b), 2);
+      assert.equal(d.decode(b), '00002a37-0000-1000-8000-00805f9b34fb');
+      assert.throws(() => d.encode('0001180d-0000-1000-8000-00805f9b34fb', b), RangeError);
+      assert.throws(() => d.encode(0x10000, b), RangeError);
+      assert.throws(() => d.encode(TEXT, b),
+                    err => checkError(err, TypeError, /invalid Bluetooth UUID/));
+      assert.throws(() => d.encode(1.5, b), TypeError);
+
+      const d32 = lo.uuid32({bigEndian: true});
+      assert.equal(d32.span, 4);
+      assert.equal(d32.encode('12345678-0000-1000-8000-00805f9b34fb', b), 4);
+      assert.equal(Buffer.from('12345678', 'hex').compare(b), 0);
+      assert.equal(d32.decode(b), '12345678-0000-1000-8000-00805f9b34fb');
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.uuid16('type'), lo.uuid({byteOrder: 'le'}, 'service')]);
+      assert.equal(st.span, 18);
+      const b = Buffer.alloc(st.span);
+      const src = {type: '00002800-0000-1000-8000-00805f9b34fb', service: TEXT};
+      assert.equal(st.encode(src, b), 18);
+      assert.equal(Buffer.from('0028ffeeddccbbaa99887766554433221100', 'hex').compare(b), 0);
+      assert.deepEqual(st.decode(b), src);
+    });
+  });
   suite('Sequence', function() {
     test('invalid ctor', function() {
       assert.throws(() => new lo.Sequence(), TypeError);
@@ -666,6 +2015,408 @@ suite('Layout', function() {
       assert.deepEqual(seq.decode(b, 1), [0x4342, 0x4544]);
     });
   });
+  suite('TerminatedSequence', function() {
+    test('ctor', function() {
+      assert.throws(() => new lo.TerminatedSequence(), TypeError);
+      assert.throws(() => new lo.TerminatedSequence({}, 0), TypeError);
+      assert.throws(() => new lo.TerminatedSequence(lo.const(1), 1), TypeError);
+      assert.throws(() => new lo.TerminatedSequence(lo.u8(), v => !v), TypeError);
+      let d = lo.terminatedSeq(lo.u8(), 0, 'opts');
+      assert(d instanceof lo.TerminatedSequence);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, -1);
+      assert.equal(d.property, 'opts');
+      assert.strictEqual(d.terminator, 0);
+      assert.strictEqual(d.sentinel, 0);
+      const pred = (v => (0 === v.tag));
+      d = lo.terminatedSeq(lo.struct([lo.u8('tag')]), pred, {sentinel: {tag: 0}});
+      assert.strictEqual(d.terminator, pred);
+      assert.deepEqual(d.sentinel, {tag: 0});
+      assert(d.isTerminator({tag: 0}));
+      assert(!d.isTerminator({tag: 1}));
+    });
+    test('constant', function() {
+      const d = lo.terminatedSeq(lo.u16(), 0);
+      const b = Buffer.from('0100020000000300', 'hex');
+      assert.equal(d.getSpan(b), 6);
+      assert.deepEqual(d.decode(b), [1, 2]);
+      assert.deepEqual(d.decode(b, 2), [2]);
+      assert.throws(() => d.getSpan(b.slice(0, 4)),
+                    err => checkError(err, RangeError, /missing terminator/));
+      assert.throws(() => d.decode(b.slice(0, 4)),
+                    err => checkError(err, RangeError, /missing terminator/));
+      b.fill(0xff);
+      assert.equal(d.encode([5, 6, 7], b), 8);
+      assert.equal(Buffer.from('0500060007000000', 'hex').compare(b), 0);
+      assert.equal(d.encode([], b), 2);
+      assert.deepEqual(d.decode(b), []);
+      assert.throws(() => d.encode([1, 0], b),
+                    err => checkError(err, RangeError, /element matches terminator/));
+    });
+    test('argv', function() {
+      const d = lo.terminatedSeq(lo.cstr(), '', 'argv');
+      const b = Buffer.alloc(16, 0xff);
+      const argv = ['ls', '-l', 'x'];
+      assert.equal(d.encode(argv, b), 3 + 3 + 2 + 1);
+      assert.equal(Buffer.from('6c73002d6c00780000', 'hex').compare(b.slice(0, 9)), 0);
+      assert.equal(d.getSpan(b), 9);
+      assert.deepEqual(d.decode(b), argv);
+    });
+    test('predicate', function() {
+      const rec = lo.union(lo.u8('tag'));
+      rec.addVariant(0, lo.struct([]), 'end');
+      rec.addVariant(1, lo.struct([lo.pstr(lo.u8(), 'value')]), 'name');
+      const d = lo.terminatedSeq(rec, (v => v.hasOwnProperty('end')), {sentinel: {end: {}}});
+      const b = Buffer.alloc(16);
+      const src = [{name: {value: 'ab'}}, {name: {value: 'c'}}];
+      assert.equal(d.encode(src, b), 4 + 3 + 1);
+      assert.equal(Buffer.from('0102616201016300', 'hex').compare(b.slice(0, 8)), 0);
+      assert.equal(d.getSpan(b), 8);
+      assert.deepEqual(d.decode(b), src);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.terminatedSeq(lo.u8(), 0xff, 'list'), lo.u8('after')]);
+      const b = Buffer.alloc(8);
+      assert.equal(st.encode({list: [1, 2], after: 9}, b), 4);
+      assert.equal(Buffer.from('0102ff09', 'hex').compare(b.slice(0, 4)), 0);
+      assert.equal(st.getSpan(b), 4);
+      assert.deepEqual(st.decode(b), {list: [1, 2], after: 9});
+    });
+  });
+  suite('BoundedSequence', function() {
+    test('ctor', function() {
+      assert.throws(() => new lo.BoundedSequence(), TypeError);
+      assert.throws(() => new lo.BoundedSequence(lo.u8()), TypeError);
+      assert.throws(() => new lo.BoundedSequence(lo.u8(), -1), TypeError);
+      assert.throws(() => new lo.BoundedSequence(lo.u8(), lo.s8()), TypeError);
+      assert.throws(() => new lo.BoundedSequence(lo.const(0), 4), TypeError);
+      let d = lo.boundedSeq(lo.cstr(), 8, 'names');
+      assert(d instanceof lo.BoundedSequence);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 8);
+      assert.equal(d.property, 'names');
+      assert.equal(d.length, 8);
+      d = lo.boundedSeq(lo.cstr(), lo.u16be());
+      assert.equal(d.span, -1);
+    });
+    test('prefix', function() {
+      const d = lo.boundedSeq(lo.cstr(), lo.u8());
+      const b = Buffer.alloc(10, 0xff);
+      assert.equal(d.encode(['ab', '', 'c'], b), 1 + 3 + 1 + 2);
+      assert.equal(Buffer.from('06616200006300', 'hex').compare(b.slice(0, 7)), 0);
+      assert.equal(d.getSpan(b), 7);
+      assert.deepEqual(d.decode(b), ['ab', '', 'c']);
+      assert.equal(d.encode([], b), 1);
+      assert.equal(b[0], 0);
+      assert.deepEqual(d.decode(b), []);
+      assert.deepEqual(d.decode(Buffer.from('0200006300', 'hex')), ['', '']);
+      assert.throws(() => d.decode(Buffer.from('02616200', 'hex')),
+                    err => checkError(err, RangeError, /element straddles boundary at 3/));
+      assert.throws(() => d.decode(Buffer.from('05610000', 'hex')),
+                    err => checkError(err, RangeError, /decoding overruns Buffer/));
+      assert.throws(() => d.encode(['x'.repeat(300)], Buffer.alloc(400)), RangeError);
+    });
+    test('external', function() {
+      const len = lo.u16('len');
+      const st = lo.struct([len, lo.u8('kind'),
+                            lo.boundedSeq(lo.u16(), lo.offset(len, -3), 'items')]);
+      const b = Buffer.alloc(12, 0xff);
+      assert.equal(st.encode({kind: 1, items: [5, 6, 7]}, b), 2 + 1 + 6);
+      assert.equal(Buffer.from('060001050006000700', 'hex').compare(b.slice(0, 9)), 0);
+      assert.equal(st.getSpan(b), 9);
+      assert.deepEqual(st.decode(b), {len: 6, kind: 1, items: [5, 6, 7]});
+      b[0] = 5;
+      assert.throws(() => st.decode(b), RangeError);
+    });
+    test('fixed', function() {
+      const st = lo.struct([lo.boundedSeq(lo.pstr(lo.u8()), 6, 'v'), lo.u8('x')]);
+      assert.equal(st.span, 7);
+      assert.equal(st.offsetOf('x'), 6);
+      const b = Buffer.alloc(7);
+      assert.equal(st.encode({v: ['ab', 'cd'], x: 3}, b), 7);
+      assert.equal(Buffer.from('02616202636403', 'hex').compare(b), 0);
+      assert.throws(() => st.encode({v: ['ab'], x: 3}, b),
+                    err => checkError(err, RangeError, /elements occupy 3 bytes not 6/));
+      assert.equal(st.encode({v: ['ab', 'cd'], x: 3}, b), 7);
+      assert.deepEqual(st.decode(b), {v: ['ab', 'cd'], x: 3});
+    });
+  });
+  suite('GreedySequence', function() {
+    test('ctor', function() {
+      assert.throws(() => new lo.GreedySequence(), TypeError);
+      assert.throws(() => new lo.GreedySequence(lo.const(0)), TypeError);
+      assert.throws(() => new lo.GreedySequence(lo.u8(), {partial: 'ignore'}), TypeError);
+      let d = lo.greedySeq(lo.cstr(), 'names');
+      assert(d instanceof lo.GreedySequence);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, -1);
+      assert.equal(d.property, 'names');
+      assert.equal(d.partial, 'reject');
+      d = lo.greedySeq(lo.u16(), {partial: 'tolerate'});
+      assert.equal(d.partial, 'tolerate');
+    });
+    test('variable elements', function() {
+      const d = lo.greedySeq(lo.cstr());
+      const b = Buffer.from('61620000630064', 'hex');
+      assert.throws(() => d.decode(b),
+                    err => checkError(err, RangeError, /trailing partial element at 6/));
+      assert.throws(() => d.getSpan(b), RangeError);
+      assert.equal(d.remainder(b), 1);
+      assert.deepEqual(d.decode(b.slice(0, 6)), ['ab', '', 'c']);
+      assert.equal(d.getSpan(b.slice(0, 6)), 6);
+      assert.equal(d.remainder(b.slice(0, 6)), 0);
+      assert.deepEqual(d.decode(b.slice(0, 6), 4), ['c']);
+      assert.deepEqual(d.decode(b.slice(0, 0)), []);
+
+      const t = lo.greedySeq(lo.cstr(), {partial: 'tolerate'});
+      assert.deepEqual(t.decode(b), ['ab', '', 'c']);
+      assert.equal(t.getSpan(b), 6);
+      assert.equal(t.remainder(b), 1);
+      assert.equal(t.remainder(b, 5), 1);
+    });
+    test('tlv', function() {
+      const tlv = lo.struct([lo.u8('type'), lo.pstr(lo.u8(), 'value')]);
+      const d = lo.greedySeq(tlv, {partial: 'tolerate'});
+      const b = Buffer.alloc(10);
+      const src = [{type: 1, value: 'ab'}, {type: 2, value: ''}];
+      assert.equal(d.encode(src, b), 4 + 2);
+      assert.equal(Buffer.from('010261620200', 'hex').compare(b.slice(0, 6)), 0);
+      b[6] = 3;
+      b[7] = 5;
+      const pkt = b.slice(0, 9);
+      assert.deepEqual(d.decode(pkt), src);
+      assert.equal(d.remainder(pkt), 3);
+      assert.throws(() => lo.greedySeq(tlv).decode(pkt), RangeError);
+    });
+    test('invalid element', function() {
+      /* The second string lacks a terminator within maxSpan although
+       * more data follows, so it is an error rather than the end. */
+      const d = lo.greedySeq(lo.cstr({maxSpan: 3}), {partial: 'tolerate'});
+      const b = Buffer.from('61006263646500', 'hex');
+      assert.throws(() => d.decode(b),
+                    err => checkError(err, RangeError, /missing terminator/));
+      assert.throws(() => d.getSpan(b), RangeError);
+      assert.deepEqual(d.decode(Buffer.from('610062', 'hex')), ['a']);
+      assert.equal(d.remainder(Buffer.from('610062', 'hex')), 1);
+    });
+    test('fixed elements', function() {
+      const d = lo.greedySeq(lo.u16());
+      const b = Buffer.from('010002000300', 'hex');
+      assert.deepEqual(d.decode(b), [1, 2, 3]);
+      assert.throws(() => d.decode(b.slice(0, 5)), RangeError);
+      assert.equal(d.remainder(b.slice(0, 5)), 1);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.u8('n'), lo.greedySeq(lo.cstr(), 'argv')]);
+      const b = Buffer.alloc(8);
+      assert.equal(st.encode({n: 2, argv: ['ab', 'cd']}, b), 1 + 3 + 3);
+      const pkt = b.slice(0, 7);
+      assert.equal(st.getSpan(pkt), 7);
+      assert.deepEqual(st.decode(pkt), {n: 2, argv: ['ab', 'cd']});
+    });
+  });
+  suite('Optional', function() {
+    const hasExt = (sib => !!(sib.flags & 1));
+    test('ctor', function() {
+      const u16 = lo.u16('ext');
+      const d = lo.optional(u16, hasExt);
+      assert(d instanceof lo.Optional);
+      assert(d instanceof lo.Layout);
+      assert.strictEqual(d.layout, u16);
+      assert.strictEqual(d.predicate, hasExt);
+      assert.equal(d.property, 'ext');
+      assert(0 > d.span);
+      assert.equal(d.getAlignment(), 2);
+      assert.equal(lo.optional(u16, hasExt, 'x').property, 'x');
+      assert.throws(() => lo.optional(1, hasExt), TypeError);
+      assert.throws(() => lo.optional(u16), TypeError);
+    });
+    test('structure', function() {
+      const st = lo.struct([lo.u8('flags'),
+                            lo.optional(lo.u16be('ext'), hasExt),
+                            lo.u8('tail')]);
+      assert(0 > st.span);
+      const b = Buffer.alloc(4);
+      assert.deepEqual(st.decode(Buffer.from('010203ff', 'hex')),
+                       {flags: 1, ext: 0x0203, tail: 0xff});
+      const v = st.decode(Buffer.from('0002', 'hex'));
+      assert.deepEqual(v, {flags: 0, tail: 2});
+      assert(!v.hasOwnProperty('ext'));
+      assert.equal(st.getSpan(Buffer.from('0002', 'hex')), 2);
+      assert.equal(st.getSpan(Buffer.from('01020304', 'hex')), 4);
+
+      b.fill(0xa5);
+      assert.equal(st.encode({flags: 1, ext: 0x1234, tail: 9}, b), 4);
+      assert.equal(Buffer.from('01123409', 'hex').compare(b), 0);
+      b.fill(0xa5);
+      assert.equal(st.encode({flags: 2, tail: 9}, b), 2);
+      assert.equal(Buffer.from('0209a5a5', 'hex').compare(b), 0);
+      assert.throws(() => st.encode({flags: 1, tail: 9}, b),
+                    err => checkError(err, Error, /value required for variable-length field ext/));
+      assert.throws(() => st.encode({flags: 0, ext: 3, tail: 9}, b),
+                    err => checkError(err, Error, /value provided for absent field ext/));
+      assert(lo.optional(lo.u8(), hasExt).isAbsent(lo.context().child(st, {flags: 0})));
+      assert(!lo.u8().isAbsent());
+    });
+    test('predicate sees preceding fields', function() {
+      const seen = [];
+      const st = lo.struct([lo.u8('flags'),
+                            lo.optional(lo.u8('a'), sib => {
+                              seen.push(Object.assign({}, sib));
+                              return hasExt(sib);
+                            }),
+                            lo.u8('b')]);
+      const b = Buffer.alloc(3);
+      const src = {flags: 1, a: 7, b: 2};
+      assert.equal(st.encode(src, b), 3);
+      assert.deepEqual(st.decode(b), src);
+      assert(0 < seen.length);
+      seen.forEach(sib => assert.deepEqual(sib, {flags: 1}));
+
+      const later = lo.struct([lo.optional(lo.u8('a'), sib => 1 === sib.b),
+                               lo.u8('b')]);
+      assert.throws(() => later.encode({a: 7, b: 1}, b),
+                    err => checkError(err, Error, /value provided for absent field a/));
+      assert.equal(later.encode({b: 1}, b), 1);
+      assert.deepEqual(later.decode(b), {b: 1});
+    });
+    test('predicate sees filled and computed fields', function() {
+      const big = (v => 1 < v.n);
+      const st = lo.struct([lo.computed(lo.u8(), i => i.spanOf('a'), 'n'),
+                            lo.blob(lo.sibling('n'), 'a'),
+                            lo.optional(lo.u8(), big, 'x')]);
+      const b = Buffer.alloc(4);
+      /* Decoded blobs share the buffer, so decode from a copy. */
+      const v = st.decode(Buffer.from([2, 1, 2, 9]));
+      assert.deepEqual(v, {n: 2, a: Buffer.from('0102', 'hex'), x: 9});
+      assert.equal(st.encode(v, b), 4);
+      assert.equal(Buffer.from([2, 1, 2, 9]).compare(b), 0);
+      delete v.n;
+      b.fill(0);
+      assert.equal(st.encode(v, b), 4);
+      assert.equal(Buffer.from([2, 1, 2, 9]).compare(b), 0);
+
+      const plain = lo.struct([lo.u8('n'),
+                               lo.blob(lo.sibling('n'), 'a'),
+                               lo.optional(lo.u8(), big, 'x')]);
+      b.fill(0);
+      assert.equal(plain.encode(v, b), 4);
+      assert.deepEqual(plain.decode(b), {n: 2, a: v.a, x: 9});
+
+      const total = lo.struct([lo.computed(lo.u8(), i => i.span, 'n'),
+                               lo.optional(lo.u8(), big, 'x')]);
+      b.fill(0);
+      assert.equal(total.encode({n: 2, x: 9}, b), 2);
+      assert.deepEqual(total.decode(b), {n: 2, x: 9});
+      assert.throws(() => total.encode({x: 9}, b),
+                    err => checkError(err, Error, /computed field n has no value/));
+      assert.equal(total.encode({n: 1}, b), 1);
+      assert.throws(() => total.encode({n: 3, x: 9}, b),
+                    err => checkError(err, Error, /computed field n is 2 but was 3/));
+    });
+    test('aligned structure', function() {
+      const st = lo.struct([lo.u8('flags'),
+                            lo.optional(lo.u32('ext'), hasExt),
+                            lo.u8('tail')],
+                           {align: true});
+      const b = Buffer.alloc(12, 0xa5);
+      assert.equal(st.encode({flags: 0, tail: 9}, b), 4);
+      assert.equal(Buffer.from('0009a5a5', 'hex').compare(b.slice(0, 4)), 0);
+      assert.equal(st.getSpan(b), 4);
+      assert.deepEqual(st.decode(b), {flags: 0, tail: 9});
+      b.fill(0xa5);
+      assert.equal(st.encode({flags: 1, ext: 2, tail: 9}, b), 12);
+      assert.equal(Buffer.from('01a5a5a50200000009a5a5a5', 'hex').compare(b), 0);
+      assert.equal(st.getSpan(b), 12);
+      assert.deepEqual(st.decode(b), {flags: 1, ext: 2, tail: 9});
+    });
+    test('context', function() {
+      const ver = ((sib, ctx) => 2 <= ctx.lookup('version'));
+      const body = lo.struct([lo.u8('kind'),
+                              lo.optional(lo.u32('size'), ver)], 'body');
+      const st = lo.struct([lo.u8('version'), body]);
+      assert.deepEqual(st.decode(Buffer.from('010700', 'hex')),
+                       {version: 1, body: {kind: 7}});
+      assert.deepEqual(st.decode(Buffer.from('02070a000000', 'hex')),
+                       {version: 2, body: {kind: 7, size: 10}});
+      const byParam = lo.optional(lo.u8('x'), (sib, ctx) => ctx.params.x);
+      const ps = lo.struct([byParam]);
+      const b = Buffer.from('05', 'hex');
+      assert.deepEqual(ps.decode(b, 0, lo.context({x: true})), {x: 5});
+      assert.deepEqual(ps.decode(b, 0, lo.context({x: false})), {});
+    });
+  });
+  suite('Computed', function() {
+    test('ctor', function() {
+      const u16 = lo.u16('len');
+      const fn = (info => info.span);
+      const d = lo.computed(u16, fn);
+      assert(d instanceof lo.Computed);
+      assert(d instanceof lo.Layout);
+      assert.strictEqual(d.layout, u16);
+      assert.strictEqual(d.compute, fn);
+      assert.equal(d.span, 2);
+      assert.equal(d.property, 'len');
+      assert.equal(d.getAlignment(), 2);
+      assert.equal(lo.computed(u16, fn, 'x').property, 'x');
+      assert.throws(() => lo.computed(1, fn), TypeError);
+      assert.throws(() => lo.computed(lo.cstr(), fn), TypeError);
+      assert.throws(() => lo.computed(u16), TypeError);
+    });
+    test('standalone', function() {
+      const d = lo.computed(lo.u16be('len'), info => 0);
+      const b = Buffer.alloc(2);
+      assert.equal(d.encode(0x1234, b), 2);
+      assert.equal(Buffer.from('1234', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), 0x1234);
+    });
+    test('structure', function() {
+      let seen;
+      const st = lo.struct([lo.computed(lo.u16('total'), info => {
+        seen = info;
+        return info.span;
+      }),
+                            lo.computed(lo.u8('plen'), info => info.spanOf('payload')),
+                            lo.u8('kind'),
+                            lo.cstr('payload'),
+                            lo.computed(lo.u8('poff'), info => info.offsetOf('payload'))]);
+      const b = Buffer.alloc(16, 0xa5);
+      const src = {total: 99, kind: 1, payload: 'hi'};
+      assert.equal(st.encode(src, b), 2 + 1 + 1 + 3 + 1);
+      assert.equal(Buffer.from('0800030168690004a5', 'hex').compare(b.slice(0, 9)), 0);
+      assert.strictEqual(seen.src, src);
+      assert.equal(seen.spanOf('kind'), 1);
+      assert.strictEqual(seen.spanOf('other'), undefined);
+      assert.strictEqual(seen.offsetOf('other'), undefined);
+      assert.deepEqual(st.decode(b),
+                       {total: 8, plen: 3, kind: 1, payload: 'hi', poff: 4});
+    });
+    test('unwritten field', function() {
+      const spans = [];
+      const st = lo.struct([lo.computed(lo.u8('len'), info => {
+        const span = info.spanOf('s');
+        spans.push(span);
+        return (undefined === span) ? 0 : span;
+      }),
+                            lo.cstr('s')]);
+      const b = Buffer.alloc(4, 0xa5);
+      assert.equal(st.encode({}, b), 1);
+      assert.equal(Buffer.from('00a5a5a5', 'hex').compare(b), 0);
+      assert.equal(st.encode({s: 'hi'}, b), 4);
+      assert.equal(Buffer.from('03686900', 'hex').compare(b), 0);
+      assert.deepEqual(spans, [undefined, 3]);
+    });
+    test('count with aligned structure', function() {
+      const st = lo.struct([lo.computed(lo.u8('n'), info => info.src.a.length),
+                            lo.seq(lo.u32(), lo.sibling('n'), 'a'),
+                            lo.computed(lo.u16('size'), info => info.span)],
+                           {align: true});
+      const b = Buffer.alloc(16, 0xa5);
+      assert.equal(st.encode({a: [1, 2]}, b), 16);
+      assert.equal(Buffer.from('02a5a5a501000000020000001000a5a5', 'hex').compare(b), 0);
+      assert.deepEqual(st.decode(b), {n: 2, a: [1, 2], size: 16});
+    });
+  });
   suite('Structure', function() {
     test('invalid ctor', function() {
       assert.throws(() => new lo.Structure(), TypeError);
@@ -723,6 +2474,20 @@ suite('Layout', function() {
       assert.equal(Buffer.from('3412a5eac8', 'hex').compare(b), 0);
       assert.deepEqual(st.decode(b), _.extend(obj, {u8: 0xa5}));
     });
+    test('missing variable-length', function() {
+      const st = lo.struct([lo.u8('n'),
+                            lo.cstr('s'),
+                            lo.seq(lo.u8(), lo.sibling('n'), 'a'),
+                            lo.cstr('t')]);
+      const b = Buffer.alloc(8, 0xa5);
+      assert.throws(() => st.encode({a: [1]}, b),
+                    err => checkError(err, Error, /value required for variable-length field s/));
+      assert.throws(() => st.encode({s: 'x', t: 'y'}, b),
+                    err => checkError(err, Error, /value required for variable-length field a/));
+      b.fill(0xa5);
+      assert.equal(st.encode({s: 'x', a: [1, 2]}, b), 5);
+      assert.equal(Buffer.from('0278000102a5', 'hex').compare(b.slice(0, 6)), 0);
+    });
     test('update', function() {
       const st = new lo.Structure([lo.u8('u8'),
                                  lo.u16('u16'),
@@ -831,6 +2596,93 @@ suite('Layout', function() {
         assert.strictEqual(slo2.decodePrefixes, true);
       });
     });
+    test('getAlignment', function() {
+      assert.equal(lo.blob(8).getAlignment(), 1);
+      assert(lo.u16() instanceof lo.NumericLayout);
+      assert(lo.f32be() instanceof lo.NumericLayout);
+      assert(!(lo.uleb128() instanceof lo.NumericLayout));
+      assert.equal(lo.u8().getAlignment(), 1);
+      assert.equal(lo.u16be().getAlignment(), 2);
+      assert.equal(lo.u24().getAlignment(), 1);
+      assert.equal(lo.s32().getAlignment(), 4);
+      assert.equal(lo.nu64().getAlignment(), 8);
+      assert.equal(lo.u64be().getAlignment(), 8);
+      assert.equal(lo.u128().getAlignment(), 16);
+      assert.equal(lo.u256().getAlignment(), 16);
+      assert.equal(lo.f16().getAlignment(), 2);
+      assert.equal(lo.f64be().getAlignment(), 8);
+      assert.equal(lo.seq(lo.u16(), 3).getAlignment(), 2);
+      assert.equal(lo.bits(lo.u32()).getAlignment(), 4);
+      assert.equal(lo.fixedStr(8, {encoding: 'utf16le'}).getAlignment(), 2);
+      assert.equal(lo.struct([lo.u8(), lo.u32()]).getAlignment(), 1);
+      assert.equal(lo.struct([lo.u8(), lo.u32()], {align: true}).getAlignment(), 4);
+      assert.equal(lo.struct([lo.u8(), lo.f64()], {align: 2}).getAlignment(), 2);
+      const un = lo.union(lo.u8());
+      assert.equal(un.getAlignment(), 1);
+      const vlo = un.addVariant(1, lo.u32(), 'u32');
+      assert.equal(un.getAlignment(), 4);
+      assert.equal(vlo.getAlignment(), 4);
+    });
+    test('align ctor', function() {
+      let d = lo.struct([lo.u8('v')], 's', {decodePrefixes: true});
+      assert.equal(d.property, 's');
+      assert.strictEqual(d.decodePrefixes, true);
+      assert.strictEqual(d.align, false);
+      d = lo.struct([lo.u8('v')], {align: 4});
+      assert.strictEqual(d.property, undefined);
+      assert.strictEqual(d.decodePrefixes, false);
+      assert.strictEqual(d.align, 4);
+      assert.throws(() => lo.struct([], {align: 3}), TypeError);
+      assert.throws(() => lo.struct([], {align: 0}), TypeError);
+      assert.throws(() => lo.struct([], {align: 'yes'}), TypeError);
+    });
+    test('aligned', function() {
+      /* struct { uint8_t a; uint32_t b; uint16_t c; } */
+      const d = lo.struct([lo.u8('a'), lo.u32('b'), lo.u16('c')],
+                          {align: true});
+      assert.equal(d.span, 12);
+      assert.equal(d.offsetOf('a'), 0);
+      assert.equal(d.offsetOf('b'), 4);
+      assert.equal(d.offsetOf('c'), 8);
+      const b = Buffer.alloc(d.span, 0xbd);
+      assert.equal(d.encode({a: 1, b: 0x12345678, c: 0x9abc}, b), 12);
+      assert.equal(Buffer.from('01bdbdbd78563412bc9abdbd', 'hex').compare(b), 0);
+      assert.deepEqual(d.decode(b), {a: 1, b: 0x12345678, c: 0x9abc});
+
+      /* Nested aligned structures align to their widest member. */
+      const o = lo.struct([lo.u8('x'), d.replicate('d'), lo.u8('y')],
+                          {align: true});
+      assert.equal(o.span, 20);
+      assert.equal(o.offsetOf('d'), 4);
+      assert.equal(o.offsetOf('y'), 16);
+    });
+    test('pack', function() {
+      /* #pragma pack(2) struct { uint8_t a; double b; uint8_t c; } */
+      const d = lo.struct([lo.u8('a'), lo.f64('b'), lo.u8('c')],
+                          {align: 2});
+      assert.equal(d.offsetOf('b'), 2);
+      assert.equal(d.offsetOf('c'), 10);
+      assert.equal(d.span, 12);
+      const n = lo.struct([lo.u8('a'), lo.f64('b'), lo.u8('c')],
+                          {align: true});
+      assert.equal(n.offsetOf('c'), 16);
+      assert.equal(n.span, 24);
+    });
+    test('aligned variable-length', function() {
+      const d = lo.struct([lo.cstr('s'), lo.u32('v'), lo.u8('t')],
+                          {align: true});
+      assert(0 > d.span);
+      assert.equal(d.offsetOf('s'), 0);
+      assert(0 > d.offsetOf('v'));
+      const b = Buffer.alloc(16, 0xbd);
+      assert.equal(d.encode({s: 'hi', v: 0x01020304, t: 5}, b), 12);
+      assert.equal(Buffer.from('686900bd0403020105bdbdbd', 'hex').compare(b.slice(0, 12)), 0);
+      assert.equal(d.getSpan(b), 12);
+      assert.deepEqual(d.decode(b), {s: 'hi', v: 0x01020304, t: 5});
+      assert.equal(d.encode({s: 'abc', v: 1, t: 2}, b), 12);
+      assert.equal(d.getSpan(b), 12);
+      assert.equal(d.encode({s: 'abcdefg', v: 1, t: 2}, b), 16);
+    });
   });
   suite('replicate', function() {
     test('uint', function() {
@@ -959,6 +2811,162 @@ suite('Layout', function() {
       assert.throws(() => d.encode({s: 'too long'}, b), Error);
     });
   });
+  suite('Context', function() {
+    /* A layout that records the context it is given, and decodes to
+     * and encodes from a byte scaled by a user-supplied parameter. */
+    class Probe extends lo.Layout {
+      constructor(property) {
+        super(1, property);
+        this.seen = [];
+      }
+      decode(b, offset, context) {
+        this.seen.push(context);
+        return b.readUInt8(offset || 0) * context.params.scale;
+      }
+      encode(src, b, offset, context) {
+        this.seen.push(context);
+        b.writeUInt8(src / context.params.scale, offset || 0);
+        return 1;
+      }
+    }
+    test('ctor', function() {
+      const root = lo.context({scale: 2});
+      assert(root instanceof lo.Context);
+      assert.deepEqual(root.params, {scale: 2});
+      assert.strictEqual(root.parent, null);
+      assert.strictEqual(root.layout, null);
+      assert.strictEqual(root.value, undefined);
+      assert.deepEqual(new lo.Context().params, {});
+      const st = lo.struct([]);
+      const value = {v: 1};
+      const ctx = root.child(st, value);
+      assert.strictEqual(ctx.parent, root);
+      assert.strictEqual(ctx.params, root.params);
+      assert.strictEqual(ctx.layout, st);
+      assert.strictEqual(ctx.value, value);
+      assert.equal(ctx.child(st, [2]).lookup('v'), 1);
+      assert.strictEqual(ctx.lookup('w'), undefined);
+      assert.throws(() => new lo.Context({}, {}), TypeError);
+    });
+    test('structure', function() {
+      const pr = new Probe('p');
+      const inner = lo.struct([lo.u8('tag'), pr], 'inner');
+      const st = lo.struct([lo.u8('version'), inner], 'st');
+      const b = Buffer.from('020305', 'hex');
+      const root = lo.context({scale: 3});
+      const v = st.decode(b, 0, root);
+      assert.deepEqual(v, {version: 2, inner: {tag: 3, p: 15}});
+      const ctx = pr.seen[0];
+      assert.strictEqual(ctx.params, root.params);
+      assert.strictEqual(ctx.layout, inner);
+      assert.strictEqual(ctx.value, v.inner);
+      assert.strictEqual(ctx.parent.layout, st);
+      assert.strictEqual(ctx.parent.value, v);
+      assert.strictEqual(ctx.parent.parent, root);
+      assert.equal(ctx.lookup('version'), 2);
+
+      b.fill(0);
+      assert.equal(st.encode({version: 1, inner: {tag: 4, p: 6}}, b, 0, root), 3);
+      assert.equal(Buffer.from('010402', 'hex').compare(b), 0);
+      assert.equal(pr.seen[1].lookup('version'), 1);
+      assert.throws(() => st.decode(b, 0, {scale: 3}), TypeError);
+    });
+    test('sequence and union', function() {
+      const pr = new Probe();
+      const seq = lo.seq(pr, 2, 'a');
+      const un = lo.union(lo.u8('t'));
+      const vlo = un.addVariant(1, seq, 'a');
+      const root = lo.context({scale: 2});
+      const b = Buffer.from('010304', 'hex');
+      const v = un.decode(b, 0, root);
+      assert.deepEqual(v, {a: [6, 8]});
+      let ctx = pr.seen[1];
+      assert.strictEqual(ctx.layout, seq);
+      assert.strictEqual(ctx.value, v.a);
+      assert.strictEqual(ctx.parent.layout, vlo);
+      assert.strictEqual(ctx.parent.parent, root);
+      pr.seen.length = 0;
+      assert.equal(un.encode({a: [2, 10]}, b, 0, root), 3);
+      assert.equal(Buffer.from('010105', 'hex').compare(b), 0);
+      ctx = pr.seen[0];
+      assert.deepEqual(ctx.value, [2, 10]);
+      assert.deepEqual(ctx.parent.value, {a: [2, 10]});
+    });
+    test('getSpan', function() {
+      let seen;
+      class Sized extends lo.Layout {
+        constructor(property) {
+          super(-1, property);
+        }
+        getSpan(b, offset, context) {
+          seen = context;
+          return context.lookup('n');
+        }
+        decode(b, offset, context) {
+          return b.slice(offset, offset + this.getSpan(b, offset, context));
+        }
+      }
+      const st = lo.struct([lo.u8('n'), new Sized('data'), lo.u8('t')]);
+      const b = Buffer.from('0201020304', 'hex');
+      assert.equal(st.getSpan(b), 4);
+      assert.strictEqual(seen.layout, st);
+      assert.equal(st.decode(b).t, 3);
+
+      /* Repeated properties must not break the span computation. */
+      const dup = lo.struct([lo.u8('reserved'), lo.cstr('s'), lo.u8('reserved')]);
+      const db = Buffer.from('01686900ff', 'hex');
+      assert.equal(dup.getSpan(db), 5);
+      assert.deepEqual(dup.decode(db), {reserved: 0xff, s: 'hi'});
+    });
+    test('ignored by custom layouts', function() {
+      class Legacy extends lo.Layout {
+        constructor(property) {
+          super(1, property);
+        }
+        decode(b, offset) {
+          return b[offset];
+        }
+        encode(src, b, offset) {
+          b[offset] = src;
+          return 1;
+        }
+      }
+      const st = lo.struct([new Legacy('a'), lo.seq(new Legacy(), 2, 'b')]);
+      const b = Buffer.alloc(3);
+      assert.equal(st.encode({a: 1, b: [2, 3]}, b, 0, lo.context()), 3);
+      assert.deepEqual(st.decode(b, 0, lo.context()), {a: 1, b: [2, 3]});
+    });
+    test('count and length layouts', function() {
+      /* A count that is supplied by the caller rather than the buffer. */
+      class ParamCount extends lo.ExternalLayout {
+        constructor() {
+          super(-1);
+        }
+        isCount() {
+          return true;
+        }
+        decode(b, offset, context) {
+          return context.params.n;
+        }
+        encode(src, b, offset, context) {
+          assert.equal(src, context.params.n);
+          return 0;
+        }
+      }
+      const n = new ParamCount();
+      const root = lo.context({n: 2});
+      const b = Buffer.from('010203', 'hex');
+      assert.deepEqual(lo.seq(lo.u8(), n).decode(b, 0, root), [1, 2]);
+      assert.equal(lo.seq(lo.u8(), n).encode([4, 5], b, 0, root), 2);
+      assert.deepEqual(lo.blob(n).decode(b, 1, root), Buffer.from('0503', 'hex'));
+      assert.equal(lo.blob(n).getSpan(b, 0, root), 2);
+      assert.equal(lo.pstr(n).decode(Buffer.from('6869', 'hex'), 0, root), 'hi');
+      assert.deepEqual(lo.boundedSeq(lo.u8(), n).decode(b, 0, root), [4, 5]);
+      const un = lo.union(new lo.UnionLayoutDiscriminator(n));
+      un.addVariant(2, lo.u8('v'), 'two');
+      assert.deepEqual(un.decode(b, 0, root), {two: 4});
+    });
+  });
   suite('ExternalLayout', function() {
     test('ctor', function() {
       const el = new lo.ExternalLayout(-1, 'prop');
@@ -1043,6 +3051,108 @@ suite('Layout', function() {
                     TypeError);
     });
   });
+  suite('SiblingLayout', function() {
+    test('ctor', function() {
+      const sl = lo.sibling('n');
+      assert(sl instanceof lo.SiblingLayout);
+      assert(sl instanceof lo.ExternalLayout);
+      assert(sl.isCount());
+      assert.equal(sl.reference, 'n');
+      assert.equal(sl.property, 'n');
+      assert.equal(lo.sibling('n', 'count').property, 'count');
+      assert.throws(() => lo.sibling(), TypeError);
+      assert.throws(() => lo.sibling(''), TypeError);
+    });
+    test('unresolved', function() {
+      const b = Buffer.alloc(4);
+      assert.throws(() => lo.sibling('n').decode(b),
+                    err => checkError(err, TypeError, /requires a Context/));
+      assert.throws(() => lo.sibling('n').decode(b, 0, lo.context()),
+                    err => checkError(err, RangeError, /cannot resolve n/));
+      const st = lo.struct([lo.seq(lo.u8(), lo.sibling('n'), 'a'),
+                            lo.u8('n')]);
+      assert.throws(() => st.decode(b),
+                    err => checkError(err, RangeError, /no preceding field/));
+    });
+    test('variable-width reference', function() {
+      const st = lo.struct([lo.uleb128('n'),
+                            lo.seq(lo.u8(), lo.sibling('n'), 'a')]);
+      const b = Buffer.alloc(256, 0xa5);
+      const a = Array(200).fill(1);
+      assert.throws(() => st.encode({n: 0, a}, b),
+                    err => checkError(err, TypeError, /field is not a fixed-span unsigned integer/));
+      assert.throws(() => st.decode(Buffer.from('0101', 'hex')), TypeError);
+      const big = lo.struct([lo.u8('n'),
+                             lo.seq(lo.u8(), lo.sibling('n'), 'a')]);
+      assert.equal(big.encode({a}, b), 201);
+      assert.deepEqual(big.decode(b), {n: 200, a});
+    });
+    test('after getSpan returns', function() {
+      let seen;
+      class Capture extends lo.Layout {
+        constructor(property) {
+          super(-1, property);
+        }
+        getSpan(b, offset, context) {
+          seen = context;
+          return 0;
+        }
+      }
+      const st = lo.struct([lo.u8('n'),
+                            lo.seq(lo.u8(), lo.sibling('n'), 'a'),
+                            new Capture('c')]);
+      const b = Buffer.from('020304', 'hex');
+      assert.equal(st.getSpan(b), 3);
+      assert.deepEqual(seen.value.a, [3, 4]);
+    });
+    test('sequence count', function() {
+      const st = lo.struct([lo.u8('n'),
+                            lo.u16('flags'),
+                            lo.seq(lo.u16(), lo.sibling('n'), 'a'),
+                            lo.u8('t')]);
+      assert(0 > st.span);
+      const b = Buffer.alloc(10, 0xbd);
+      assert.equal(st.encode({flags: 0x0102, a: [3, 4, 5], t: 6}, b), 10);
+      assert.equal(Buffer.from('03020103000400050006', 'hex').compare(b), 0);
+      assert.equal(st.getSpan(b), 10);
+      assert.deepEqual(st.decode(b),
+                       {n: 3, flags: 0x0102, a: [3, 4, 5], t: 6});
+      /* The reference overrides an inconsistent source value. */
+      assert.equal(st.encode({n: 7, flags: 0, a: [1], t: 2}, b), 6);
+      assert.equal(b[0], 1);
+    });
+    test('blob and string lengths', function() {
+      const st = lo.struct([lo.u8('bl'),
+                            lo.u16be('sl'),
+                            lo.blob(lo.sibling('bl'), 'b'),
+                            lo.pstr(lo.sibling('sl'), 's')]);
+      const b = Buffer.alloc(16);
+      const blob = Buffer.from('a5a5', 'hex');
+      assert.equal(st.encode({b: blob, s: 'hé'}, b), 3 + 2 + 3);
+      assert.equal(Buffer.from('020003a5a568c3a9', 'hex').compare(b.slice(0, 8)), 0);
+      assert.deepEqual(st.decode(b), {bl: 2, sl: 3, b: blob, s: 'hé'});
+    });
+    test('nested', function() {
+      const inner = lo.struct([lo.u8('tag'),
+                               lo.seq(lo.u8(), lo.sibling('n'), 'a')], 'inner');
+      const st = lo.struct([lo.u8('n'), inner]);
+      const b = Buffer.alloc(8);
+      assert.equal(st.encode({inner: {tag: 9, a: [1, 2]}}, b), 4);
+      assert.equal(Buffer.from('02090102', 'hex').compare(b.slice(0, 4)), 0);
+      assert.deepEqual(st.decode(b), {n: 2, inner: {tag: 9, a: [1, 2]}});
+    });
+    test('union discriminator', function() {
+      const un = lo.union(lo.sibling('t'), lo.blob(4), 'u');
+      un.addVariant(1, lo.u32(), 'u32');
+      un.addVariant(2, lo.seq(lo.u16(), 2), 's16');
+      const st = lo.struct([lo.u8('t'), lo.u8('x'), un]);
+      const b = Buffer.alloc(st.span);
+      assert.equal(st.span, 6);
+      assert.equal(st.encode({x: 5, u: {s16: [1, 2]}}, b), 6);
+      assert.equal(Buffer.from('020501000200', 'hex').compare(b), 0);
+      assert.deepEqual(st.decode(b), {t: 2, x: 5, u: {s16: [1, 2]}});
+    });
+  });
   suite('UnionDiscriminator', function() {
     test('abstract', function() {
       const ud = new lo.UnionDiscriminator('p');
@@ -1923,6 +4033,73 @@ suite('Layout', function() {
       assert.equal(seq.encode(['hi', 'u', 'c'], b), (1 + 1) + (2 + 1) + (1 + 1));
       assert.equal(Buffer.from('68690075006300', 'hex').compare(b), 0);
     });
+    test('bounded ctor', function() {
+      assert.throws(() => lo.cstr({maxSpan: -1}), TypeError);
+      assert.throws(() => lo.cstr({maxSpan: 2.5}), TypeError);
+      assert.throws(() => lo.cstr({unterminated: 'ignore'}), TypeError);
+      let cst = lo.cstr('s');
+      assert.equal(cst.maxSpan, -1);
+      assert.strictEqual(cst.unterminated, undefined);
+      cst = lo.cstr({maxSpan: 8}, 's');
+      assert.equal(cst.maxSpan, 8);
+      assert.equal(cst.unterminated, 'throw');
+      assert.equal(cst.property, 's');
+      cst = lo.cstr({unterminated: 'accept'});
+      assert.equal(cst.maxSpan, -1);
+      assert.equal(cst.unterminated, 'accept');
+    });
+    test('bounded decode', function() {
+      const b = Buffer.from('4142434400', 'hex');
+      const cst = lo.cstr({maxSpan: 5});
+      assert.equal(cst.getSpan(b), 5);
+      assert.equal(cst.decode(b), 'ABCD');
+      const short = lo.cstr({maxSpan: 4}, 'name');
+      assert.throws(() => short.getSpan(b),
+                    err => checkError(err, RangeError,
+                                      /^CString.getSpan\[name\] missing terminator within 4 bytes$/));
+      assert.throws(() => short.decode(b),
+                    err => checkError(err, RangeError, /CString.decode\[name\] missing terminator/));
+      assert.equal(short.getSpan(b, 1), 4);
+      assert.equal(short.decode(b, 1), 'BCD');
+      assert.throws(() => lo.cstr({unterminated: 'throw'}).getSpan(b.slice(0, 4)),
+                    err => checkError(err, RangeError, /missing terminator within 4 bytes/));
+
+      const acc = lo.cstr({maxSpan: 3, unterminated: 'accept'});
+      assert.equal(acc.getSpan(b), 3);
+      assert.equal(acc.decode(b), 'ABC');
+      assert.equal(acc.getSpan(b, 3), 2);
+      assert.equal(acc.decode(b, 3), 'D');
+      const open = lo.cstr({unterminated: 'accept'});
+      assert.equal(open.getSpan(b.slice(0, 4)), 4);
+      assert.equal(open.decode(b.slice(0, 4)), 'ABCD');
+
+      const wide = lo.cstr({encoding: 'utf16le', maxSpan: 4});
+      assert.throws(() => wide.getSpan(Buffer.from('410042000000', 'hex')), RangeError);
+      assert.equal(wide.decode(Buffer.from('41000000', 'hex')), 'A');
+    });
+    test('bounded encode', function() {
+      const b = Buffer.alloc(6, 0xff);
+      const cst = lo.cstr({maxSpan: 4});
+      assert.equal(cst.encode('abc', b), 4);
+      assert.equal(Buffer.from('61626300ffff', 'hex').compare(b), 0);
+      assert.throws(() => cst.encode('abcd', b),
+                    err => checkError(err, RangeError, /text length exceeds maxSpan/));
+      assert.throws(() => cst.encode('ab', b, 4), RangeError);
+
+      const acc = lo.cstr({maxSpan: 4, unterminated: 'accept'});
+      b.fill(0xff);
+      assert.equal(acc.encode('abcd', b), 4);
+      assert.equal(Buffer.from('61626364ffff', 'hex').compare(b), 0);
+      assert.equal(acc.decode(b), 'abcd');
+      assert.equal(acc.encode('ab', b), 3);
+      assert.equal(Buffer.from('616200', 'hex').compare(b.slice(0, 3)), 0);
+      assert.throws(() => acc.encode('abcde', b), RangeError);
+
+      const st = lo.struct([lo.cstr({maxSpan: 4}, 'k'), lo.u8('v')]);
+      b.fill(0);
+      assert.equal(st.encode({k: 'xy', v: 7}, b), 3 + 1);
+      assert.deepEqual(st.decode(b), {k: 'xy', v: 7});
+    });
   });
   suite('UTF8', function() {
     test('ctor', function() {
@@ -1995,6 +4172,275 @@ suite('Layout', function() {
       assert.equal(Buffer.from('68697563ff', 'hex').compare(b), 0);
     });
   });
+  suite('FixedString', function() {
+    test('ctor', function() {
+      assert.throws(() => new lo.FixedString(), TypeError);
+      assert.throws(() => new lo.FixedString(-1), TypeError);
+      assert.throws(() => new lo.FixedString(4, {pad: 256}), TypeError);
+      assert.throws(() => new lo.FixedString(4, {trim: 'all'}), TypeError);
+      assert.throws(() => new lo.FixedString(4, {overflow: 'wrap'}), TypeError);
+      let d = lo.fixedStr(16, 'name');
+      assert(d instanceof lo.FixedString);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, 16);
+      assert.equal(d.property, 'name');
+      assert.equal(d.pad, 0);
+      assert.equal(d.trim, 'trailing');
+      assert.equal(d.overflow, 'throw');
+      d = lo.fixedStr(8, {pad: 0x20, trim: 'none', overflow: 'truncate'});
+      assert.equal(d.pad, 0x20);
+      assert.equal(d.trim, 'none');
+      assert.equal(d.overflow, 'truncate');
+    });
+    test('codec', function() {
+      const d = lo.fixedStr(6);
+      const b = Buffer.alloc(8, 0xa5);
+      assert.equal(d.encode('hi!', b), 6);
+      assert.equal(Buffer.from('686921000000a5a5', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), 'hi!');
+      assert.equal(d.encode('abcdef', b), 6);
+      assert.equal(d.decode(b), 'abcdef');
+      assert.equal(d.encode('', b), 6);
+      assert.equal(d.decode(b), '');
+      assert.equal(d.encode(12, b), 6);
+      assert.equal(d.decode(b), '12');
+      assert.throws(() => d.encode('abcdefg', b),
+                    err => checkError(err, RangeError, /text length exceeds span/));
+      assert.throws(() => d.encode('a', b, 3), RangeError);
+      assert.throws(() => d.decode(b, 3), RangeError);
+    });
+    test('trim', function() {
+      const b = Buffer.from('61200062202020', 'hex');
+      assert.equal(lo.fixedStr(7).decode(b), 'a \u0000b   ');
+      assert.equal(lo.fixedStr(7, {trim: 'first'}).decode(b), 'a ');
+      const sp = lo.fixedStr(7, {pad: 0x20});
+      assert.equal(sp.decode(b), 'a \u0000b');
+      assert.equal(lo.fixedStr(7, {pad: 0x20, trim: 'first'}).decode(b), 'a');
+      assert.equal(lo.fixedStr(7, {pad: 0x20, trim: 'none'}).decode(b), 'a \u0000b   ');
+      assert.equal(sp.encode('xy', b), 7);
+      assert.equal(Buffer.from('78792020202020', 'hex').compare(b), 0);
+    });
+    test('truncate', function() {
+      const d = lo.fixedStr(4, {overflow: 'truncate'});
+      const b = Buffer.alloc(4);
+      assert.equal(d.encode('abcdef', b), 4);
+      assert.equal(d.decode(b), 'abcd');
+      // 'é' is two bytes in UTF-8
+      assert.equal(d.encode('abcé', b), 4);
+      assert.equal(Buffer.from('61626300', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), 'abc');
+      // U+1F600 is four bytes in UTF-8 and a surrogate pair in JavaScript
+      assert.equal(d.encode('a\u{1F600}', b), 4);
+      assert.equal(Buffer.from('61000000', 'hex').compare(b), 0);
+      assert.equal(d.encode('\u{1F600}z', b), 4);
+      assert.equal(d.decode(b), '\u{1F600}');
+      // Non-string values are encoded as their text
+      assert.equal(d.encode(123456, b), 4);
+      assert.equal(d.decode(b), '1234');
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.fixedStr(8, 'name'), lo.u16('id')]);
+      assert.equal(st.span, 10);
+      assert.equal(st.offsetOf('id'), 8);
+      const b = Buffer.alloc(st.span);
+      assert.equal(st.encode({name: 'eth0', id: 2}, b), 10);
+      assert.equal(Buffer.from('65746830000000000200', 'hex').compare(b), 0);
+      assert.deepEqual(st.decode(b), {name: 'eth0', id: 2});
+    });
+  });
+  suite('PascalString', function() {
+    test('ctor', function() {
+      assert.throws(() => new lo.PascalString(), TypeError);
+      assert.throws(() => new lo.PascalString(4), TypeError);
+      assert.throws(() => new lo.PascalString(lo.s8()), TypeError);
+      assert.throws(() => new lo.PascalString(lo.offset(lo.f32(), -4)), TypeError);
+      assert.throws(() => new lo.PascalString(lo.u8(), {maxSpan: 1.5}), TypeError);
+      let d = lo.pstr(lo.u8(), 'name');
+      assert(d instanceof lo.PascalString);
+      assert(d instanceof lo.Layout);
+      assert.equal(d.span, -1);
+      assert.equal(d.property, 'name');
+      assert.equal(d.maxSpan, -1);
+      d = lo.pstr(lo.u16be(), {maxSpan: 255});
+      assert.equal(d.maxSpan, 255);
+    });
+    test('prefix', function() {
+      const d = lo.pstr(lo.u8());
+      const b = Buffer.alloc(8, 0xa5);
+      assert.equal(d.encode('hello', b), 6);
+      assert.equal(Buffer.from('0568656c6c6fa5a5', 'hex').compare(b), 0);
+      assert.equal(d.getSpan(b), 6);
+      assert.equal(d.decode(b), 'hello');
+      assert.equal(d.encode('', b, 1), 1);
+      assert.equal(d.getSpan(b, 1), 1);
+      assert.equal(d.decode(b, 1), '');
+      b[1] = 0xa5;
+      assert.throws(() => d.encode('toolong', b, 1),
+                    err => checkError(err, RangeError, /encoding overruns Buffer/));
+      assert.equal(b[1], 0xa5);
+      b[0] = 8;
+      assert.throws(() => d.decode(b),
+                    err => checkError(err, RangeError, /decoding overruns Buffer/));
+      assert.throws(() => d.encode('x'.repeat(256), Buffer.alloc(300)), RangeError);
+
+      const be = lo.pstr(lo.u16be());
+      assert.equal(be.encode('hé', b), 5);
+      assert.equal(Buffer.from('000368c3a9', 'hex').compare(b.slice(0, 5)), 0);
+      assert.equal(be.getSpan(b), 5);
+      assert.equal(be.decode(b), 'hé');
+
+      const v = lo.pstr(lo.uleb128());
+      const vb = Buffer.alloc(200);
+      const text = 'x'.repeat(130);
+      assert.equal(v.encode(text, vb), 2 + 130);
+      assert.equal(Buffer.from('8201', 'hex').compare(vb.slice(0, 2)), 0);
+      assert.equal(v.getSpan(vb), 132);
+      assert.equal(v.decode(vb), text);
+      vb.fill(0xa5);
+      assert.throws(() => v.encode(text, vb, 100), RangeError);
+      assert.equal(Buffer.from('a5a5', 'hex').compare(vb.slice(100, 102)), 0);
+    });
+    test('external', function() {
+      const n = lo.u8('n');
+      const st = lo.struct([n, lo.u8('x'), lo.pstr(lo.offset(n, -2), 's')]);
+      const b = Buffer.alloc(8);
+      assert.equal(st.encode({x: 7, s: 'abc'}, b), 2 + 3);
+      assert.equal(Buffer.from('030761626300', 'hex').compare(b.slice(0, 6)), 0);
+      assert.equal(st.getSpan(b), 5);
+      assert.deepEqual(st.decode(b), {n: 3, x: 7, s: 'abc'});
+    });
+    test('maxSpan', function() {
+      const d = lo.pstr(lo.u8(), {maxSpan: 3});
+      const b = Buffer.alloc(8);
+      assert.equal(d.encode('abc', b), 4);
+      assert.equal(d.decode(b), 'abc');
+      assert.throws(() => d.encode('abcd', b),
+                    err => checkError(err, RangeError, /text length exceeds maxSpan/));
+      b[0] = 4;
+      assert.throws(() => d.decode(b), RangeError);
+    });
+    test('in struct', function() {
+      const st = lo.struct([lo.pstr(lo.u8(), 'k'), lo.pstr(lo.u8(), 'v'), lo.u8('end')]);
+      const b = Buffer.alloc(10);
+      const src = {k: 'ab', v: 'xyz', end: 9};
+      assert.equal(st.encode(src, b), 3 + 4 + 1);
+      assert.equal(Buffer.from('0261620378797a09', 'hex').compare(b.slice(0, 8)), 0);
+      assert.equal(st.getSpan(b), 8);
+      assert.deepEqual(st.decode(b), src);
+    });
+  });
+  suite('encodings', function() {
+    test('invalid', function() {
+      assert.throws(() => lo.cstr({encoding: 'utf-32'}), TypeError);
+      assert.throws(() => lo.utf8({encoding: 'ebcdic'}), TypeError);
+      assert.throws(() => lo.fixedStr(4, {encoding: 'hex'}), TypeError);
+      assert.throws(() => lo.pstr(lo.u8(), {encoding: 'base64'}), TypeError);
+    });
+    test('defaults', function() {
+      assert.equal(lo.cstr().encoding, 'utf8');
+      assert.equal(lo.cstr('p').encoding, 'utf8');
+      assert.equal(lo.cstr('p').property, 'p');
+      const u = lo.utf8({maxSpan: 4, encoding: 'latin1'}, 'u');
+      assert.equal(u.encoding, 'latin1');
+      assert.equal(u.maxSpan, 4);
+      assert.equal(u.property, 'u');
+      assert.equal(lo.utf8(4).encoding, 'utf8');
+    });
+    test('latin1 and ascii', function() {
+      const b = Buffer.alloc(8);
+      const l1 = lo.cstr({encoding: 'latin1'});
+      assert.equal(l1.encode('café', b), 5);
+      assert.equal(Buffer.from('636166e900', 'hex').compare(b.slice(0, 5)), 0);
+      assert.equal(l1.decode(b), 'café');
+      assert.throws(() => l1.encode('€', b),
+                    err => checkError(err, RangeError, /cannot encode U\+20ac as latin1/));
+
+      const asc = lo.utf8({encoding: 'ascii'});
+      assert.equal(asc.encode('ok', b), 2);
+      assert.equal(asc.decode(b.slice(0, 2)), 'ok');
+      assert.throws(() => asc.encode('é', b), RangeError);
+      assert.throws(() => asc.decode(Buffer.from('61e9', 'hex')),
+                    err => checkError(err, RangeError, /invalid ascii data/));
+      assert.equal(lo.utf8({encoding: 'latin1'}).decode(Buffer.from('61ff', 'hex')), 'a\u00ff');
+    });
+    test('invalid utf8', function() {
+      /* A truncated sequence and a lone continuation byte decode as
+       * replacement characters, as with Buffer. */
+      const b = Buffer.from('61e28262bf00', 'hex');
+      assert.equal(lo.cstr().decode(b), 'a\ufffdb\ufffd');
+      assert.equal(lo.utf8().decode(b.slice(0, 5)), 'a\ufffdb\ufffd');
+    });
+    test('utf16', function() {
+      const b = Buffer.alloc(12, 0xff);
+      const le = lo.cstr({encoding: 'utf16le'});
+      assert.equal(le.encode('AĀ', b), 6);
+      assert.equal(Buffer.from('410000010000', 'hex').compare(b.slice(0, 6)), 0);
+      assert.equal(le.getSpan(b), 6);
+      assert.equal(le.decode(b), 'AĀ');
+      // a zero byte within a code unit is not a terminator
+      const odd = Buffer.from('0041410000000000', 'hex');
+      assert.equal(le.getSpan(odd), 6);
+      assert.equal(le.decode(odd), '䄀A');
+      assert.equal(le.getSpan(Buffer.from('41004200', 'hex')), 6);
+
+      const be = lo.cstr({encoding: 'utf16be'});
+      b.fill(0xff);
+      assert.equal(be.encode('A\u{1F600}', b), 8);
+      assert.equal(Buffer.from('0041d83dde000000', 'hex').compare(b.slice(0, 8)), 0);
+      assert.equal(be.getSpan(b), 8);
+      assert.equal(be.decode(b), 'A\u{1F600}');
+
+      const st = lo.struct([lo.cstr({encoding: 'utf16le'}, 'k'), lo.u8('v')]);
+      b.fill(0);
+      assert.equal(st.encode({k: 'hi', v: 3}, b), 6 + 1);
+      assert.equal(Buffer.from('6800690000000300', 'hex').compare(b.slice(0, 8)), 0);
+      assert.deepEqual(st.decode(b), {k: 'hi', v: 3});
+
+      assert.throws(() => lo.utf8({encoding: 'utf16le'}).decode(Buffer.from('410042', 'hex')),
+                    err => checkError(err, RangeError, /invalid utf16le data/));
+    });
+    test('ucs2', function() {
+      const d = lo.utf8({encoding: 'ucs2'});
+      const b = Buffer.alloc(4);
+      assert.equal(d.encode('é中', b), 4);
+      assert.equal(Buffer.from('e9002d4e', 'hex').compare(b), 0);
+      assert.equal(d.decode(b), 'é中');
+      assert.throws(() => d.encode('\u{1F600}', b),
+                    err => checkError(err, RangeError, /cannot encode U\+d83d as ucs2/));
+      assert.throws(() => d.decode(Buffer.from('3dd800de', 'hex')), RangeError);
+    });
+    test('mutf8', function() {
+      const d = lo.cstr({encoding: 'mutf8'});
+      const b = Buffer.alloc(16);
+      assert.equal(d.encode('a\u0000é\u{1F600}', b), 1 + 2 + 2 + 6 + 1);
+      assert.equal(Buffer.from('61c080c3a9eda0bdedb88000', 'hex').compare(b.slice(0, 12)), 0);
+      assert.equal(d.getSpan(b), 12);
+      assert.equal(d.decode(b), 'a\u0000é\u{1F600}');
+      const m = lo.utf8({encoding: 'mutf8'});
+      for (const bad of ['80', 'c0', 'c041', 'c181', 'e08080', 'f0808080']) {
+        assert.throws(() => m.decode(Buffer.from(bad, 'hex')),
+                      err => checkError(err, RangeError, /invalid mutf8 data/));
+      }
+    });
+    test('fixed and prefixed', function() {
+      const b = Buffer.alloc(8);
+      const fs = lo.fixedStr(8, {encoding: 'utf16le'});
+      assert.equal(fs.encode('AĀ', b), 8);
+      assert.equal(Buffer.from('4100000100000000', 'hex').compare(b), 0);
+      assert.equal(fs.decode(b), 'AĀ');
+      assert.equal(lo.fixedStr(8, {encoding: 'utf16le', trim: 'first'}).decode(b), 'AĀ');
+      const tr = lo.fixedStr(5, {encoding: 'utf16be', overflow: 'truncate'});
+      assert.equal(tr.encode('ab\u{1F600}', b), 5);
+      assert.equal(Buffer.from('0061006200', 'hex').compare(b.slice(0, 5)), 0);
+      assert.equal(tr.decode(b), 'ab');
+      assert.throws(() => lo.fixedStr(4, {encoding: 'ascii'}).encode('é', b), RangeError);
+
+      const ps = lo.pstr(lo.u8(), {encoding: 'utf16be'});
+      assert.equal(ps.encode('hé', b), 5);
+      assert.equal(Buffer.from('04006800e9', 'hex').compare(b.slice(0, 5)), 0);
+      assert.equal(ps.decode(b), 'hé');
+    });
+  });
   suite('Constant', function() {
     test('ctor', function() {
       const c = new lo.Constant('value', 'p');
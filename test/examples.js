@@ -33,6 +33,25 @@ struct ds {
     assert.equal(Buffer.from('01bdbdbd78563412', 'hex').compare(b), 0);
     assert.deepEqual(ds.decode(b), {v: 1, u32: 0x12345678});
   });
+  test('aligned native C', function() {
+    /*
+struct ds {
+  uint8_t v;
+  uint32_t u32;
+  uint8_t w;
+} st;
+     */
+    const ds = lo.struct([lo.u8('v'),
+                        lo.u32('u32'),
+                        lo.u8('w')], {align: true});
+    assert.equal(ds.offsetOf('u32'), 4);
+    assert.equal(ds.span, 12);
+    const b = Buffer.alloc(12);
+    b.fill(0xbd);
+    assert.equal(ds.encode({v: 1, u32: 0x12345678, w: 2}, b), 12);
+    assert.equal(Buffer.from('01bdbdbd7856341202bdbdbd', 'hex').compare(b), 0);
+    assert.deepEqual(ds.decode(b), {v: 1, u32: 0x12345678, w: 2});
+  });
   test('packed native C', function() {
     /*
 struct ds {
@@ -157,6 +176,15 @@ uint64_t v = 0x0102030405060708ULL;
     assert.equal(v, nv);
     assert.equal(ds.decode(b), nv);
   });
+  test('64-bit values as BigInt', function() {
+    /*
+uint64_t v = 0x0102030405060708ULL;
+     */
+    const ds = lo.u64be();
+    const b = Buffer.from('0102030405060708', 'hex');
+    const v = BigInt('0x0102030405060708');
+    assert.strictEqual(ds.decode(b), v);
+  });
   test('C string', function() {
     /*
 const char str[] = "hi!";